@@ -0,0 +1,429 @@
+/**
+ * Audio Engine - Web Audio playback for the page's <audio> sounds
+ * Each sound is the file its element points to, or built by SoundSynth when
+ * it has none. One-shots play on game events; the wind and jingle loops run
+ * as beds whose volume the game sets as it plays. Browsers (iOS above all)
+ * keep audio locked until a user gesture, so the context starts on the first one
+ */
+const AudioEngine = {
+    enabled: true,
+
+    // Web Audio graph (created on the first user gesture)
+    context: null,
+    masterGain: null,
+    unlocked: false,
+
+    // Sounds by name: source <audio> element, whether it loops, and its mix volume
+    sounds: {
+        wind: { elementId: 'audio-wind', loop: true, volume: 0.6 },
+        jingle: { elementId: 'audio-jingle', loop: true, volume: 0.5 },
+        boost: { elementId: 'audio-boost', loop: false, volume: 0.9 },
+        deliver: { elementId: 'audio-deliver', loop: false, volume: 0.8 },
+        powerup: { elementId: 'audio-powerup', loop: false, volume: 0.7 }
+    },
+
+    // Decoded AudioBuffers by sound name
+    buffers: {},
+
+    // Playing beds by sound name ({ source, gain }) and the volume each should be at
+    beds: {},
+    bedVolumes: {},
+    bedsActive: false,
+
+    // While true, one-shots are skipped (e.g. while a replay fast-forwards)
+    suppressed: false,
+
+    // How quickly bed volume follows its target (seconds)
+    bedSmoothing: 0.25,
+
+    // Chimney beacons (audio-cue mode): a soft pulsing note per unseen chimney,
+    // panned toward it and louder and quicker the closer it is
+    beaconsEnabled: false,
+    beacons: new Map(),                 // chimney -> { osc, lfo, gain, panner }
+    beaconCount: 0,
+    beaconRange: 1600,                  // World distance at which a beacon falls silent
+    beaconVolume: 0.18,
+    beaconNotes: [523.25, 587.33, 659.25, 783.99, 880.0],  // C major pentatonic, one per chimney
+
+    // Gesture handler reference
+    _unlockHandler: null,
+
+    /**
+     * Check if the Web Audio API is available
+     */
+    isSupported() {
+        return !!(window.AudioContext || window.webkitAudioContext);
+    },
+
+    /**
+     * Initialize: wait for the first gesture and listen for game events
+     */
+    init() {
+        if (!this.isSupported()) {
+            console.warn('Web Audio not supported, playing without sound');
+            return;
+        }
+
+        this._unlockHandler = () => this.unlock();
+        ['touchend', 'click', 'keydown'].forEach(type => {
+            window.addEventListener(type, this._unlockHandler, true);
+        });
+
+        this.bindGameEvents();
+    },
+
+    /**
+     * Start the audio context inside a user gesture, then load the sounds
+     */
+    unlock() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+
+            this.masterGain = this.context.createGain();
+            this.masterGain.gain.value = this.enabled ? 1 : 0;
+            this.masterGain.connect(this.context.destination);
+
+            this.loadAll();
+        }
+
+        if (this.context.state !== 'running') {
+            this.context.resume().catch(e => console.warn('Could not resume audio:', e));
+        }
+
+        // iOS only unlocks once something plays inside the gesture
+        const silence = this.context.createBuffer(1, 1, 22050);
+        const source = this.context.createBufferSource();
+        source.buffer = silence;
+        source.connect(this.context.destination);
+        source.start(0);
+
+        this.unlocked = true;
+        ['touchend', 'click', 'keydown'].forEach(type => {
+            window.removeEventListener(type, this._unlockHandler, true);
+        });
+    },
+
+    /**
+     * Load and decode every sound (ones that fail to load stay silent)
+     */
+    loadAll() {
+        return Promise.all(Object.keys(this.sounds).map(name => this.load(name)));
+    },
+
+    /**
+     * Load one sound: the file its <audio> element points to, if it has one,
+     * otherwise (or if the file won't load) the SoundSynth version
+     */
+    async load(name) {
+        const element = document.getElementById(this.sounds[name].elementId);
+        const src = element?.getAttribute('src') || element?.querySelector('source')?.getAttribute('src');
+
+        let buffer = null;
+
+        if (src) {
+            try {
+                buffer = await this.fetchSound(src);
+            } catch (e) {
+                console.warn(`Could not load sound ${name}:`, e);
+            }
+        }
+
+        if (!buffer && window.SoundSynth && SoundSynth.has(name)) {
+            try {
+                buffer = await SoundSynth.render(name, this.context.sampleRate);
+            } catch (e) {
+                console.warn(`Could not synthesize sound ${name}:`, e);
+            }
+        }
+
+        if (!buffer) return;
+        this.buffers[name] = buffer;
+
+        // A bed that was asked for before its sound arrived starts now
+        if (this.sounds[name].loop && this.bedsActive) {
+            this.startBed(name);
+        }
+    },
+
+    /**
+     * Fetch and decode a sound file
+     */
+    async fetchSound(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.arrayBuffer();
+        return this.decode(data);
+    },
+
+    /**
+     * Decode audio data (older Safari only has the callback form)
+     */
+    decode(data) {
+        return new Promise((resolve, reject) => {
+            const result = this.context.decodeAudioData(data, resolve, reject);
+            if (result && result.then) {
+                result.then(resolve, reject);
+            }
+        });
+    },
+
+    /**
+     * Check if sounds can be heard right now
+     */
+    canPlay() {
+        return this.enabled && this.context && this.context.state === 'running';
+    },
+
+    /**
+     * Play a one-shot sound
+     * @param {string} name - Sound name (see sounds)
+     * @param {Object} options - { volume (0-1), rate (playback rate) }
+     */
+    play(name, options = {}) {
+        if (!this.canPlay() || this.suppressed) return;
+
+        const buffer = this.buffers[name];
+        if (!buffer) return;
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = options.rate || 1;
+
+        const gain = this.context.createGain();
+        gain.gain.value = this.sounds[name].volume * (options.volume ?? 1);
+
+        source.connect(gain);
+        gain.connect(this.masterGain);
+        source.start(0);
+    },
+
+    /**
+     * Start the looping beds (silent until given a volume)
+     */
+    startBeds() {
+        this.bedsActive = true;
+
+        Object.keys(this.sounds)
+            .filter(name => this.sounds[name].loop)
+            .forEach(name => this.startBed(name));
+    },
+
+    /**
+     * Start one looping bed if its sound is loaded
+     */
+    startBed(name) {
+        if (!this.context || !this.buffers[name] || this.beds[name]) return;
+
+        const source = this.context.createBufferSource();
+        source.buffer = this.buffers[name];
+        source.loop = true;
+
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+
+        source.connect(gain);
+        gain.connect(this.masterGain);
+        source.start(0);
+
+        this.beds[name] = { source, gain };
+        this.setBedVolume(name, this.bedVolumes[name] || 0);
+    },
+
+    /**
+     * Set how loud a bed should be; it eases there
+     * @param {string} name - 'wind' or 'jingle'
+     * @param {number} volume - 0-1, scaled by the sound's mix volume
+     */
+    setBedVolume(name, volume) {
+        this.bedVolumes[name] = volume;
+
+        const bed = this.beds[name];
+        if (!bed) return;
+
+        const target = this.sounds[name].volume * Math.max(0, Math.min(1, volume));
+        bed.gain.gain.setTargetAtTime(target, this.context.currentTime, this.bedSmoothing);
+    },
+
+    /**
+     * Fade the beds out and stop them
+     */
+    stopBeds() {
+        this.bedsActive = false;
+
+        Object.entries(this.beds).forEach(([name, bed]) => {
+            const now = this.context.currentTime;
+            bed.gain.gain.setTargetAtTime(0, now, this.bedSmoothing);
+            bed.source.stop(now + this.bedSmoothing * 4);
+            this.bedVolumes[name] = 0;
+        });
+        this.beds = {};
+    },
+
+    /**
+     * Turn chimney beacons on or off
+     */
+    setBeaconsEnabled(enabled) {
+        this.beaconsEnabled = enabled;
+        if (!enabled) {
+            this.updateBeacons([]);
+        }
+    },
+
+    /**
+     * Sound a beacon for each chimney given, and stop the rest
+     * @param {Object[]} directions - From ChimneySystem.getDirection ({ chimney, dx, dy, distance })
+     */
+    updateBeacons(directions) {
+        const sounding = new Set();
+
+        if (this.beaconsEnabled && this.canPlay()) {
+            directions.forEach(direction => {
+                if (direction.distance >= this.beaconRange) return;
+
+                sounding.add(direction.chimney);
+                this.setBeacon(direction);
+            });
+        }
+
+        this.beacons.forEach((beacon, chimney) => {
+            if (!sounding.has(chimney)) {
+                this.stopBeacon(chimney);
+            }
+        });
+    },
+
+    /**
+     * Start or steer one chimney's beacon
+     */
+    setBeacon({ chimney, dx, dy, distance }) {
+        let beacon = this.beacons.get(chimney);
+        if (!beacon) {
+            beacon = this.createBeacon();
+            this.beacons.set(chimney, beacon);
+        }
+
+        const now = this.context.currentTime;
+        const closeness = 1 - distance / this.beaconRange;
+        const unitX = distance > 0 ? dx / distance : 0;
+        const unitY = distance > 0 ? dy / distance : 0;
+
+        // Louder and quicker as Rudolf closes in
+        beacon.gain.gain.setTargetAtTime(this.beaconVolume * closeness * closeness, now, 0.1);
+        beacon.lfo.frequency.setTargetAtTime(1 + 4 * closeness, now, 0.1);
+
+        // Left/right by pan, above/below by pitch (up to a tone higher when above)
+        if (beacon.panner) {
+            beacon.panner.pan.setTargetAtTime(unitX, now, 0.1);
+        }
+        beacon.osc.detune.setTargetAtTime(-unitY * 200, now, 0.1);
+    },
+
+    /**
+     * Build a beacon voice: a sine note pulsed by a slow LFO, then panned
+     */
+    createBeacon() {
+        const ctx = this.context;
+
+        const osc = ctx.createOscillator();
+        osc.type = 'sine';
+        osc.frequency.value = this.beaconNotes[this.beaconCount++ % this.beaconNotes.length];
+
+        // The LFO swings the pulse gain between 0 and 1
+        const pulse = ctx.createGain();
+        pulse.gain.value = 0.5;
+        const lfo = ctx.createOscillator();
+        lfo.frequency.value = 1;
+        const lfoDepth = ctx.createGain();
+        lfoDepth.gain.value = 0.5;
+        lfo.connect(lfoDepth);
+        lfoDepth.connect(pulse.gain);
+
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+
+        // Older Safari has no StereoPannerNode; beacons still get louder as you close in
+        const panner = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+
+        osc.connect(pulse);
+        pulse.connect(gain);
+        if (panner) {
+            gain.connect(panner);
+            panner.connect(this.masterGain);
+        } else {
+            gain.connect(this.masterGain);
+        }
+
+        osc.start(0);
+        lfo.start(0);
+
+        return { osc, lfo, gain, panner };
+    },
+
+    /**
+     * Fade out and stop one chimney's beacon
+     */
+    stopBeacon(chimney) {
+        const beacon = this.beacons.get(chimney);
+        if (!beacon) return;
+
+        const now = this.context.currentTime;
+        beacon.gain.gain.setTargetAtTime(0, now, 0.05);
+        beacon.osc.stop(now + 0.3);
+        beacon.lfo.stop(now + 0.3);
+        this.beacons.delete(chimney);
+    },
+
+    /**
+     * Enable sound
+     */
+    enable() {
+        this.setEnabled(true);
+    },
+
+    /**
+     * Disable sound
+     */
+    disable() {
+        this.setEnabled(false);
+    },
+
+    /**
+     * Turn all sound on or off (the beds keep running, muted)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+
+        if (this.masterGain) {
+            this.masterGain.gain.setTargetAtTime(enabled ? 1 : 0, this.context.currentTime, 0.05);
+        }
+    },
+
+    /**
+     * Play one-shots and run the beds from game events
+     */
+    bindGameEvents() {
+        GameEvents.on('chimney:delivered', ({ isPerfect }) => {
+            this.play('deliver', { rate: isPerfect ? 1.12 : 1 });
+        });
+
+        GameEvents.on('powerup:collected', () => this.play('powerup'));
+        GameEvents.on('boost:activated', () => this.play('boost'));
+
+        GameEvents.on('level:started', () => this.startBeds());
+        GameEvents.on('level:ended', () => {
+            this.stopBeds();
+            this.updateBeacons([]);
+        });
+        GameEvents.on('level:quit', () => {
+            this.stopBeds();
+            this.updateBeacons([]);
+        });
+    }
+};
+
+// Export for use in other modules
+window.AudioEngine = AudioEngine;
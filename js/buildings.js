@@ -0,0 +1,275 @@
+/**
+ * Building System - Generates the city skyline
+ * Buildings are solid obstacles, and their rooftops are where the chimneys go
+ */
+class BuildingSystem {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        // Random source (Math, or a seeded stream set per level by Game)
+        this.rng = Math;
+
+        this.buildings = [];
+        this.enabled = false;
+
+        // Skyline settings
+        this.minWidth = 60;
+        this.maxWidth = 120;
+        this.minGap = 8;
+        this.maxGap = 40;
+        this.minHeight = 0.15;              // Fraction of world height
+        this.maxHeight = 0.45;
+
+        // Rooftop chimney spacing
+        this.chimneySpacing = 36;
+
+        // Window grid
+        this.windowSize = 8;
+        this.windowSpacing = 16;
+
+        // Whether Rudolf and the sleigh are in contact with a building. A contact
+        // lasts until they are clear of it by contactPadding, so resting on a roof
+        // or scraping along a wall is one hit (more than the sleigh's 6px bob)
+        this.touching = { rudolf: false, sleigh: false };
+        this.contactPadding = 8;
+
+        // Hitting a building costs as much as hitting a tree (named after
+        // the level's hazard entry, as buildings aren't in the hazard list)
+        this.typeData = {
+            name: 'buildings',
+            emoji: '🏢',
+            effect: 'penalty',
+            penalty: 5,
+            description: 'Lose 5 seconds if hit'
+        };
+    }
+
+    /**
+     * Generate a skyline if the level has buildings
+     * @param {string[]} hazardTypes - Hazard names from the level config
+     */
+    generate(hazardTypes) {
+        this.buildings = [];
+        this.enabled = hazardTypes.includes('buildings');
+
+        if (!this.enabled) return 0;
+
+        let x = this.rng.random() * this.maxGap;
+
+        while (x < this.width) {
+            const width = this.minWidth + this.rng.random() * (this.maxWidth - this.minWidth);
+            const heightFraction = this.minHeight + this.rng.random() * (this.maxHeight - this.minHeight);
+            const height = this.height * heightFraction;
+
+            this.buildings.push({
+                x,
+                y: this.height - height,
+                width,
+                height,
+                style: Math.floor(this.rng.random() * 3),
+                windows: this.createWindows(width, height)
+            });
+
+            x += width + this.minGap + this.rng.random() * (this.maxGap - this.minGap);
+        }
+
+        return this.buildings.length;
+    }
+
+    /**
+     * Create a grid of windows, some lit
+     */
+    createWindows(width, height) {
+        const windows = [];
+        const columns = Math.floor((width - this.windowSpacing / 2) / this.windowSpacing);
+        const rows = Math.floor((height - this.windowSpacing) / this.windowSpacing);
+        const offsetX = (width - columns * this.windowSpacing) / 2 + (this.windowSpacing - this.windowSize) / 2;
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                if (this.rng.random() < 0.45) {
+                    windows.push({
+                        x: offsetX + col * this.windowSpacing,
+                        y: this.windowSpacing + row * this.windowSpacing
+                    });
+                }
+            }
+        }
+
+        return windows;
+    }
+
+    /**
+     * Get chimney positions on rooftops
+     * Wide buildings can fit more than one chimney
+     * @param {number} count - Number of spots wanted
+     * @returns {Object[]} Spots with x/y for the chimney center
+     */
+    getRooftopSpots(count) {
+        const spots = [];
+
+        this.buildings.forEach(building => {
+            const slots = Math.max(1, Math.floor(building.width / this.chimneySpacing));
+            const slotWidth = building.width / slots;
+
+            for (let i = 0; i < slots; i++) {
+                spots.push({
+                    x: building.x + slotWidth * (i + 0.5),
+                    // Chimney base sits 5px below its center line
+                    y: building.y - 5,
+                    rooftop: true
+                });
+            }
+        });
+
+        // Shuffle so chimneys spread across the skyline
+        for (let i = spots.length - 1; i > 0; i--) {
+            const j = Math.floor(this.rng.random() * (i + 1));
+            [spots[i], spots[j]] = [spots[j], spots[i]];
+        }
+
+        return spots.slice(0, count);
+    }
+
+    /**
+     * Check if a point is inside (or within padding of) any building
+     */
+    containsPoint(x, y, padding = 0) {
+        return this.buildings.some(building =>
+            x > building.x - padding &&
+            x < building.x + building.width + padding &&
+            y > building.y - padding
+        );
+    }
+
+    /**
+     * Check Rudolf and the sleigh against every building
+     * Only a new contact counts: resting on a roof or scraping along a wall
+     * (pushed out by keepOut, pulled back in by the rope) costs time once, not
+     * every time immunity ends. Call updateContacts after the push-out.
+     * Emits hazard:hit for the first new contact found and returns its data
+     */
+    checkCollisions(rudolfBounds, sleighBounds) {
+        const hits = {
+            rudolf: this.touching.rudolf ? null : this.findBuilding(rudolfBounds),
+            sleigh: this.touching.sleigh || !sleighBounds ? null : this.findBuilding(sleighBounds)
+        };
+        this.touching.rudolf = this.touching.rudolf || !!hits.rudolf;
+        this.touching.sleigh = this.touching.sleigh || !!hits.sleigh;
+
+        const target = ['rudolf', 'sleigh'].find(name => hits[name]);
+        if (!target) return null;
+
+        const data = {
+            hazard: hits[target],
+            typeData: this.typeData,
+            target
+        };
+
+        GameEvents.emit('hazard:hit', data);
+
+        return data;
+    }
+
+    /**
+     * End the contacts of Rudolf and the sleigh once they are clear of every building
+     */
+    updateContacts(rudolfBounds, sleighBounds) {
+        if (this.touching.rudolf) {
+            this.touching.rudolf = !!this.findBuilding(rudolfBounds, this.contactPadding);
+        }
+        if (this.touching.sleigh) {
+            this.touching.sleigh = !!sleighBounds && !!this.findBuilding(sleighBounds, this.contactPadding);
+        }
+    }
+
+    /**
+     * Get the building a box overlaps (or comes within padding of), if any
+     */
+    findBuilding(bounds, padding = 0) {
+        const padded = {
+            x: bounds.x - padding,
+            y: bounds.y - padding,
+            width: bounds.width + padding * 2,
+            height: bounds.height + padding * 2
+        };
+        return this.buildings.find(building => HazardSystem.intersects(padded, building)) || null;
+    }
+
+    /**
+     * Push an entity (Rudolf or the sleigh) out of any building it's inside,
+     * out through whichever side (left, right or roof) is nearest, so a hit
+     * can't keep costing time once the immunity wears off
+     */
+    keepOut(entity) {
+        for (const building of this.buildings) {
+            const bounds = entity.getBounds();
+            if (!HazardSystem.intersects(bounds, building)) continue;
+
+            const left = bounds.x + bounds.width - building.x;
+            const right = building.x + building.width - bounds.x;
+            const up = bounds.y + bounds.height - building.y;
+            const push = Math.min(left, right, up);
+
+            if (push === up) {
+                entity.y -= up;
+                entity.velocityY = Math.min(entity.velocityY, 0);
+            } else if (push === left) {
+                entity.x -= left;
+                entity.velocityX = Math.min(entity.velocityX, 0);
+            } else {
+                entity.x += right;
+                entity.velocityX = Math.max(entity.velocityX, 0);
+            }
+        }
+    }
+
+    /**
+     * Draw the skyline (behind the fog)
+     */
+    draw(ctx) {
+        const styles = [
+            { wall: '#34495e', roof: '#2c3e50' },
+            { wall: '#5d4e6d', roof: '#4a3f57' },
+            { wall: '#4e5d6c', roof: '#3b4754' }
+        ];
+
+        this.buildings.forEach(building => {
+            const style = styles[building.style];
+
+            ctx.save();
+            ctx.translate(building.x, building.y);
+
+            // Walls
+            ctx.fillStyle = style.wall;
+            ctx.fillRect(0, 0, building.width, building.height);
+
+            // Roof ledge with a dusting of snow
+            ctx.fillStyle = style.roof;
+            ctx.fillRect(-3, -4, building.width + 6, 6);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.fillRect(-3, -7, building.width + 6, 3);
+
+            // Lit windows
+            ctx.fillStyle = '#f1c40f';
+            building.windows.forEach(win => {
+                ctx.fillRect(win.x, win.y, this.windowSize, this.windowSize);
+            });
+
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Reset for new level
+     */
+    reset() {
+        this.buildings = [];
+        this.enabled = false;
+        this.touching = { rudolf: false, sleigh: false };
+    }
+}
+
+// Export for use in other modules
+window.BuildingSystem = BuildingSystem;
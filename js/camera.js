@@ -0,0 +1,153 @@
+/**
+ * Camera - Follows Rudolf through a world larger than the screen
+ * Converts between world and screen coordinates
+ */
+class Camera {
+    constructor(viewWidth, viewHeight) {
+        // Top-left corner of the view, in world coordinates
+        this.x = 0;
+        this.y = 0;
+
+        // Position at the start of the last simulation step (for interpolated drawing)
+        this.prevX = 0;
+        this.prevY = 0;
+
+        this.viewWidth = viewWidth;
+        this.viewHeight = viewHeight;
+
+        this.worldWidth = viewWidth;
+        this.worldHeight = viewHeight;
+
+        // Follow settings
+        this.followSpeed = 0.12;            // Fraction of the gap closed per frame
+        this.lookAhead = 15;                // Frames of Rudolf's velocity to lead by
+    }
+
+    /**
+     * Set the size of the world the camera moves over
+     */
+    setWorldSize(width, height) {
+        this.worldWidth = width;
+        this.worldHeight = height;
+        this.clamp();
+    }
+
+    /**
+     * Resize the view (screen size changed)
+     */
+    resize(viewWidth, viewHeight) {
+        this.viewWidth = viewWidth;
+        this.viewHeight = viewHeight;
+        this.clamp();
+
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    /**
+     * Get the view position that centers on a target, leading its movement
+     */
+    getTargetPosition(target) {
+        return {
+            x: target.x + (target.velocityX || 0) * this.lookAhead - this.viewWidth / 2,
+            y: target.y + (target.velocityY || 0) * this.lookAhead - this.viewHeight / 2
+        };
+    }
+
+    /**
+     * Ease toward the target
+     */
+    update(target) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+
+        const goal = this.getTargetPosition(target);
+
+        this.x += (goal.x - this.x) * this.followSpeed;
+        this.y += (goal.y - this.y) * this.followSpeed;
+        this.clamp();
+    }
+
+    /**
+     * Jump straight to the target (level start)
+     */
+    snapTo(target) {
+        const goal = this.getTargetPosition(target);
+
+        this.x = goal.x;
+        this.y = goal.y;
+        this.clamp();
+
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    /**
+     * Keep the view inside the world (centered if the world is smaller than the view)
+     */
+    clamp() {
+        if (this.worldWidth <= this.viewWidth) {
+            this.x = (this.worldWidth - this.viewWidth) / 2;
+        } else {
+            this.x = Math.max(0, Math.min(this.worldWidth - this.viewWidth, this.x));
+        }
+
+        if (this.worldHeight <= this.viewHeight) {
+            this.y = (this.worldHeight - this.viewHeight) / 2;
+        } else {
+            this.y = Math.max(0, Math.min(this.worldHeight - this.viewHeight, this.y));
+        }
+    }
+
+    /**
+     * Convert world coordinates to screen (CSS pixel) coordinates
+     */
+    worldToScreen(x, y) {
+        return {
+            x: x - this.x,
+            y: y - this.y
+        };
+    }
+
+    /**
+     * Convert screen (CSS pixel) coordinates to world coordinates
+     */
+    screenToWorld(x, y) {
+        return {
+            x: x + this.x,
+            y: y + this.y
+        };
+    }
+
+    /**
+     * Get the visible part of the world
+     */
+    getView() {
+        return {
+            x: this.x,
+            y: this.y,
+            width: this.viewWidth,
+            height: this.viewHeight
+        };
+    }
+
+    /**
+     * Check if a world point (with margin) is on screen
+     */
+    isVisible(x, y, margin = 0) {
+        return x > this.x - margin &&
+               x < this.x + this.viewWidth + margin &&
+               y > this.y - margin &&
+               y < this.y + this.viewHeight + margin;
+    }
+
+    /**
+     * Apply the world-to-screen transform to a context
+     */
+    apply(ctx) {
+        ctx.translate(-this.x, -this.y);
+    }
+}
+
+// Export for use in other modules
+window.Camera = Camera;
@@ -0,0 +1,201 @@
+/**
+ * Challenge Links - Share the exact level you just played
+ * A link carries the level, the seed and the chimney/power-up layout,
+ * plus the sender's score as a target to beat
+ */
+const Challenge = {
+    // Bump when the layout format changes, so old links are rejected instead of misread
+    version: 1,
+
+    // Bytes per packed chimney or power-up
+    entrySize: 4,
+
+    // Power-up types by packed index - append only, links store the index
+    powerupTypes: ['carrot', 'star', 'clock', 'bell', 'cocoa', 'magnet'],
+
+    /**
+     * Encode a level layout as a URL-safe code
+     * Chimneys pack x (12 bits), y (11 bits), rooftop (1 bit) and house style (2 bits);
+     * power-ups pack x, y and the index of their type (3 bits)
+     * @param {number} seed - Level seed (rebuilds buildings, terrain and hazards)
+     * @param {Object[]} chimneys - Chimneys from ChimneySystem.spawnChimneys
+     * @param {Object[]} powerups - Power-ups from PowerUpSystem.spawnPowerups
+     */
+    encodeLayout(seed, chimneys, powerups) {
+        const bytes = [this.version];
+
+        this.writeUint32(bytes, seed >>> 0);
+        bytes.push(chimneys.length, powerups.length);
+
+        chimneys.forEach(chimney => {
+            const rooftop = chimney.rooftop ? 1 : 0;
+            this.writeUint32(bytes, (this.packPosition(chimney) * 2 + rooftop) * 4 + chimney.houseStyle);
+        });
+
+        powerups.forEach(powerup => {
+            const type = Math.max(0, this.powerupTypes.indexOf(powerup.type));
+            this.writeUint32(bytes, this.packPosition(powerup) * 8 + type);
+        });
+
+        return this.toBase64Url(bytes);
+    },
+
+    /**
+     * Decode a layout code (null if it is malformed or from another version)
+     * @returns {Object|null} { seed, chimneys: [{ x, y, rooftop, houseStyle }], powerups: [{ x, y, type }] }
+     */
+    decodeLayout(code) {
+        const bytes = this.fromBase64Url(code);
+        if (!bytes || bytes.length < 7 || bytes[0] !== this.version) return null;
+
+        const chimneyCount = bytes[5];
+        const powerupCount = bytes[6];
+        if (bytes.length !== 7 + (chimneyCount + powerupCount) * this.entrySize) return null;
+
+        const layout = {
+            seed: this.readUint32(bytes, 1),
+            chimneys: [],
+            powerups: []
+        };
+
+        let offset = 7;
+        for (let i = 0; i < chimneyCount; i++, offset += this.entrySize) {
+            const value = this.readUint32(bytes, offset);
+            layout.chimneys.push({
+                ...this.unpackPosition(Math.floor(value / 8)),
+                rooftop: Boolean(Math.floor(value / 4) % 2),
+                houseStyle: value % 4
+            });
+        }
+
+        for (let i = 0; i < powerupCount; i++, offset += this.entrySize) {
+            const value = this.readUint32(bytes, offset);
+            const type = this.powerupTypes[value % 8];
+            if (!type) return null;
+
+            layout.powerups.push({
+                ...this.unpackPosition(Math.floor(value / 8)),
+                type
+            });
+        }
+
+        return layout;
+    },
+
+    /**
+     * Pack a world position into 23 bits (x up to 4095, y up to 2047)
+     */
+    packPosition(entity) {
+        const x = Math.max(0, Math.min(4095, Math.round(entity.x)));
+        const y = Math.max(0, Math.min(2047, Math.round(entity.y)));
+        return x * 2048 + y;
+    },
+
+    /**
+     * Unpack a position packed by packPosition
+     */
+    unpackPosition(value) {
+        return {
+            x: Math.floor(value / 2048),
+            y: value % 2048
+        };
+    },
+
+    /**
+     * Append a 32-bit unsigned number as 4 bytes (big-endian)
+     */
+    writeUint32(bytes, value) {
+        bytes.push((value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255);
+    },
+
+    /**
+     * Read a 32-bit unsigned number written by writeUint32
+     */
+    readUint32(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    },
+
+    /**
+     * Bytes to base64url (no padding)
+     */
+    toBase64Url(bytes) {
+        return btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    },
+
+    /**
+     * Base64url to bytes (null if invalid)
+     */
+    fromBase64Url(code) {
+        if (typeof code !== 'string' || !/^[A-Za-z0-9_-]+$/.test(code)) return null;
+
+        try {
+            const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+            return Array.from(binary, char => char.charCodeAt(0));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Read a challenge from the page URL
+     * @returns {Object|null} { level, layoutCode, target } or null if there is none
+     */
+    readFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const level = parseInt(params.get('level'), 10);
+        const layoutCode = params.get('layout');
+
+        if (!level || !layoutCode) return null;
+
+        const target = parseInt(params.get('target'), 10);
+
+        return {
+            level,
+            layoutCode,
+            target: target > 0 ? target : null
+        };
+    },
+
+    /**
+     * Build a challenge link for the current page
+     */
+    buildUrl(level, layoutCode, target) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('level', level);
+        url.searchParams.set('layout', layoutCode);
+        url.searchParams.set('target', target);
+        return url.toString();
+    },
+
+    /**
+     * Share a link with the Web Share API, falling back to the clipboard
+     * @returns {Promise<string>} 'shared', 'copied', 'cancelled' or 'failed'
+     */
+    async share(url, text) {
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: 'Rudolf', text, url });
+                return 'shared';
+            } catch (error) {
+                // Closing the share sheet isn't a failure
+                if (error.name === 'AbortError') return 'cancelled';
+            }
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            return 'copied';
+        } catch (error) {
+            console.warn('Could not copy challenge link:', error);
+            return 'failed';
+        }
+    }
+};
+
+// Export for use in other modules
+window.Challenge = Challenge;
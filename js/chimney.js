@@ -7,6 +7,9 @@ class ChimneySystem {
         this.width = width;
         this.height = height;
 
+        // Random source (Math, or a seeded stream set per level by Game)
+        this.rng = Math;
+
         this.chimneys = [];
         this.deliveredCount = 0;
         this.missedCount = 0;
@@ -20,45 +23,51 @@ class ChimneySystem {
         this.minSpawnDistance = 150;        // Minimum distance between chimneys
         this.spawnMargin = 80;              // Margin from screen edges
 
+        // Optional (x, y) => bool that rules out positions (e.g. inside terrain)
+        this.isBlocked = null;
+
+        // Optional { min, max } range of Rudolf altitudes that presents can drop from
+        this.altitudeBand = null;
+
+        // Haptics adapter (chimneyFound/success/miss), null to run without feedback
+        this.haptics = window.Haptics || null;
+
+        // Miss rules: a chimney spotted by Rudolf's nose is gone once it has been
+        // out of sight for too long, or Rudolf came within missDistance and then
+        // flew that far past it
+        this.missTimeout = 6000;            // ms out of sight
+        this.missDistance = 500;            // px from Rudolf
+
         // Animation
         this.glowIntensity = 0;
         this.glowDirection = 1;
-
-        // Callbacks
-        this.onDelivery = null;
-        this.onMiss = null;
-        this.onAllDelivered = null;
     }
 
     /**
      * Spawn chimneys for a level
+     * @param {number} count - Number of chimneys
+     * @param {Object[]} spots - Optional fixed positions (e.g. rooftops) to use first
      */
-    spawnChimneys(count) {
+    spawnChimneys(count, spots = []) {
         this.chimneys = [];
         this.deliveredCount = 0;
         this.missedCount = 0;
         this.totalRequired = count;
 
+        // Fixed spots first, then fill any shortfall at random
+        spots.slice(0, count).forEach(spot => {
+            this.chimneys.push(this.createChimney(spot.x, spot.y, Boolean(spot.rooftop), spot.houseStyle));
+        });
+
         const attempts = count * 20;        // Max attempts to place chimneys
-        let placed = 0;
+        let placed = this.chimneys.length;
 
         for (let i = 0; i < attempts && placed < count; i++) {
-            const x = this.spawnMargin + Math.random() * (this.width - this.spawnMargin * 2);
-            const y = this.spawnMargin + Math.random() * (this.height - this.spawnMargin * 2);
-
-            if (this.isValidPosition(x, y)) {
-                this.chimneys.push({
-                    x,
-                    y,
-                    width: this.chimneyWidth,
-                    height: this.chimneyHeight,
-                    delivered: false,
-                    visible: false,              // Currently visible through fog
-                    spotted: false,              // Has been spotted by player
-                    missed: false,
-                    glowPhase: Math.random() * Math.PI * 2,
-                    houseStyle: Math.floor(Math.random() * 3)
-                });
+            const x = this.spawnMargin + this.rng.random() * (this.width - this.spawnMargin * 2);
+            const y = this.spawnMargin + this.rng.random() * (this.height - this.spawnMargin * 2);
+
+            if (this.isValidPosition(x, y) && !(this.isBlocked && this.isBlocked(x, y))) {
+                this.chimneys.push(this.createChimney(x, y, false));
                 placed++;
             }
         }
@@ -66,6 +75,32 @@ class ChimneySystem {
         return placed;
     }
 
+    /**
+     * Create a chimney
+     * Rooftop chimneys sit on an existing building, so no house is drawn under them
+     * @param {number} [houseStyle] - Fixed house style (e.g. from a challenge layout)
+     */
+    createChimney(x, y, rooftop, houseStyle) {
+        const glowPhase = this.rng.random() * Math.PI * 2;
+        const randomStyle = Math.floor(this.rng.random() * 3);
+
+        return {
+            x,
+            y,
+            width: this.chimneyWidth,
+            height: this.chimneyHeight,
+            delivered: false,
+            visible: false,              // Currently visible through fog
+            spotted: false,              // Has been seen in Rudolf's nose light
+            passing: false,              // Rudolf has been within missDistance since it was spotted
+            hiddenTime: 0,               // ms out of sight since last spotted
+            missed: false,
+            rooftop,
+            glowPhase,
+            houseStyle: houseStyle !== undefined ? houseStyle : randomStyle
+        };
+    }
+
     /**
      * Check if position is valid for a new chimney
      */
@@ -84,8 +119,11 @@ class ChimneySystem {
 
     /**
      * Update chimneys
+     * @param {number} deltaTime - Frame time in ms
+     * @param {FogSystem} fogSystem - Used for visibility checks
+     * @param {Object} player - Rudolf's position, for the fly-past miss rule
      */
-    update(deltaTime, fogSystem) {
+    update(deltaTime, fogSystem, player) {
         // Update glow animation
         this.glowIntensity += 0.05 * this.glowDirection;
         if (this.glowIntensity >= 1) {
@@ -100,23 +138,60 @@ class ChimneySystem {
                 const wasVisible = chimney.visible;
                 chimney.visible = fogSystem.isPointVisible(chimney.x, chimney.y);
 
-                // First time spotted
-                if (chimney.visible && !chimney.spotted) {
+                // First time spotted, by Rudolf's nose (a bell reveal or boost
+                // burst shows chimneys without counting them as found)
+                if (chimney.visible && !chimney.spotted &&
+                    fogSystem.isPointInNoseLight(chimney.x, chimney.y)) {
                     chimney.spotted = true;
+                    GameEvents.emit('chimney:spotted', { chimney });
                 }
 
                 // Haptic feedback when chimney becomes visible
-                if (chimney.visible && !wasVisible && window.Haptics) {
-                    Haptics.chimneyFound();
+                if (chimney.visible && !wasVisible && this.haptics) {
+                    this.haptics.chimneyFound();
+                }
+
+                if (chimney.spotted && player && this.getDistance(chimney, player) < this.missDistance) {
+                    chimney.passing = true;
+                }
+
+                if (chimney.visible) {
+                    chimney.hiddenTime = 0;
+                } else if (chimney.spotted) {
+                    chimney.hiddenTime += deltaTime;
+                    if (this.hasFlownPast(chimney, player)) {
+                        this.markMissed(chimney);
+                    }
                 }
             }
         });
     }
 
+    /**
+     * Check if a spotted chimney has been left behind
+     */
+    hasFlownPast(chimney, player) {
+        if (chimney.hiddenTime >= this.missTimeout) return true;
+        if (!player || !chimney.passing) return false;
+
+        return this.getDistance(chimney, player) >= this.missDistance;
+    }
+
+    /**
+     * Get the distance from a chimney to Rudolf
+     */
+    getDistance(chimney, player) {
+        const dx = chimney.x - player.x;
+        const dy = chimney.y - player.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
     /**
      * Check if tap hits any visible chimney
+     * @param {number} altitude - Rudolf's altitude, checked against altitudeBand if set
+     * @returns {Object|null} Delivery result, { rejected, reason } if out of the band, or null
      */
-    checkTap(x, y) {
+    checkTap(x, y, altitude) {
         for (const chimney of this.chimneys) {
             if (chimney.delivered || chimney.missed || !chimney.visible) continue;
 
@@ -130,6 +205,15 @@ class ChimneySystem {
                 y >= bounds.y - hitPadding &&
                 y <= bounds.y + bounds.height + hitPadding) {
 
+                if (this.altitudeBand && !isNaN(altitude) &&
+                    (altitude < this.altitudeBand.min || altitude > this.altitudeBand.max)) {
+                    return {
+                        rejected: true,
+                        reason: altitude > this.altitudeBand.max ? 'too_high' : 'too_low',
+                        chimney
+                    };
+                }
+
                 return this.deliverPresent(chimney, x, y);
             }
         }
@@ -150,27 +234,24 @@ class ChimneySystem {
         const isPerfect = distance < 20;
 
         // Haptic feedback
-        if (window.Haptics) {
-            Haptics.success();
+        if (this.haptics) {
+            this.haptics.success();
         }
 
-        // Callback
-        if (this.onDelivery) {
-            this.onDelivery({
-                chimney,
-                isPerfect,
-                delivered: this.deliveredCount,
-                total: this.totalRequired
-            });
-        }
+        GameEvents.emit('chimney:delivered', {
+            chimney,
+            isPerfect,
+            delivered: this.deliveredCount,
+            total: this.totalRequired
+        });
 
         // Check if all delivered
         if (this.deliveredCount >= this.totalRequired) {
-            if (this.onAllDelivered) {
-                this.onAllDelivered();
-            }
+            GameEvents.emit('chimney:allDelivered');
         }
 
+        this.checkAllResolved();
+
         return {
             points: isPerfect ? 150 : 100,
             isPerfect
@@ -186,45 +267,61 @@ class ChimneySystem {
         chimney.missed = true;
         this.missedCount++;
 
-        if (window.Haptics) {
-            Haptics.miss();
+        if (this.haptics) {
+            this.haptics.miss();
         }
 
-        if (this.onMiss) {
-            this.onMiss({
-                chimney,
-                missed: this.missedCount
-            });
-        }
+        GameEvents.emit('chimney:missed', {
+            chimney,
+            missed: this.missedCount
+        });
+
+        this.checkAllResolved();
     }
 
     /**
-     * Get direction to nearest undelivered chimney (for radar)
+     * Emit chimney:allResolved once every chimney is either delivered or missed
      */
-    getNearestDirection(playerX, playerY) {
-        let nearest = null;
-        let minDistance = Infinity;
+    checkAllResolved() {
+        if (this.getRemainingCount() > 0) return;
 
-        for (const chimney of this.chimneys) {
-            if (chimney.delivered || chimney.missed) continue;
+        GameEvents.emit('chimney:allResolved', {
+            delivered: this.deliveredCount,
+            missed: this.missedCount
+        });
+    }
 
-            const dx = chimney.x - playerX;
-            const dy = chimney.y - playerY;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+    /**
+     * Get the offset, distance and angle from the player to a chimney
+     */
+    getDirection(chimney, playerX, playerY) {
+        const dx = chimney.x - playerX;
+        const dy = chimney.y - playerY;
 
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearest = {
-                    chimney,
-                    dx,
-                    dy,
-                    distance,
-                    angle: Math.atan2(dy, dx)
-                };
-            }
-        }
+        return {
+            chimney,
+            dx,
+            dy,
+            distance: Math.sqrt(dx * dx + dy * dy),
+            angle: Math.atan2(dy, dx)
+        };
+    }
 
-        return nearest;
+    /**
+     * Get directions to every undelivered chimney, nearest first
+     */
+    getDirections(playerX, playerY) {
+        return this.chimneys
+            .filter(chimney => !chimney.delivered && !chimney.missed)
+            .map(chimney => this.getDirection(chimney, playerX, playerY))
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Get direction to nearest undelivered chimney (for radar)
+     */
+    getNearestDirection(playerX, playerY) {
+        return this.getDirections(playerX, playerY)[0] || null;
     }
 
     /**
@@ -249,8 +346,10 @@ class ChimneySystem {
             ctx.save();
             ctx.translate(chimney.x, chimney.y);
 
-            // Draw house
-            this.drawHouse(ctx, chimney);
+            // Draw house (rooftop chimneys already have a building)
+            if (!chimney.rooftop) {
+                this.drawHouse(ctx, chimney);
+            }
 
             // Draw chimney
             this.drawChimney(ctx, chimney);
@@ -366,7 +465,7 @@ class ChimneySystem {
      * Get remaining chimneys count
      */
     getRemainingCount() {
-        return this.totalRequired - this.deliveredCount;
+        return this.totalRequired - this.deliveredCount - this.missedCount;
     }
 
     /**
@@ -376,6 +475,7 @@ class ChimneySystem {
         this.chimneys = [];
         this.deliveredCount = 0;
         this.missedCount = 0;
+        this.altitudeBand = null;
     }
 }
 
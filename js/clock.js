@@ -0,0 +1,75 @@
+/**
+ * Game Clock - Game time that only moves while the game is updating
+ * Timed effects schedule against this instead of Date.now()/setTimeout,
+ * so pausing freezes them exactly where they were
+ */
+const GameClock = {
+    // Game time in ms (only advanced by Game.update)
+    time: 0,
+
+    // Pending timers, kept sorted by due time
+    timers: [],
+    nextId: 1,
+
+    /**
+     * Get current game time in ms
+     */
+    now() {
+        return this.time;
+    },
+
+    /**
+     * Advance game time and fire any timers that come due
+     * @param {number} deltaTime - Time to advance in ms
+     */
+    advance(deltaTime) {
+        this.time += deltaTime;
+
+        // Timers may schedule new timers, so take them one at a time
+        while (this.timers.length > 0 && this.timers[0].dueTime <= this.time) {
+            const timer = this.timers.shift();
+            timer.callback();
+        }
+    },
+
+    /**
+     * Run a callback after a delay in game time
+     * @returns {number} Timer id for clearTimeout
+     */
+    setTimeout(callback, delay = 0) {
+        const timer = {
+            id: this.nextId++,
+            dueTime: this.time + delay,
+            callback
+        };
+
+        // Insert after timers due at the same time, so equal delays fire in order
+        const index = this.timers.findIndex(other => other.dueTime > timer.dueTime);
+        if (index === -1) {
+            this.timers.push(timer);
+        } else {
+            this.timers.splice(index, 0, timer);
+        }
+
+        return timer.id;
+    },
+
+    /**
+     * Cancel a pending timer
+     */
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    },
+
+    /**
+     * Start a new run at game time 0 with no pending timers
+     * Every run sees the same times, so a recorded run replays exactly
+     */
+    reset() {
+        this.time = 0;
+        this.timers = [];
+    }
+};
+
+// Export for use in other modules
+window.GameClock = GameClock;
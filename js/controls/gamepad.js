@@ -0,0 +1,266 @@
+/**
+ * Gamepad Controls - Controller support for desktop and TV browsers
+ * The left stick steers through TiltControls' analog input, buttons boost,
+ * use the radar and pause, and Haptics patterns play on the controller's rumble.
+ * The Gamepad API has no input events, so the game polls update() every frame
+ */
+const GamepadControls = {
+    enabled: true,
+    isInitialized: false,
+
+    // Index of the controller in use (null when none is connected)
+    index: null,
+
+    // Stick: inner dead zone (0-1) and the tilt a fully pushed stick gives,
+    // in degrees (the same as a held arrow key)
+    deadzone: 0.15,
+    maxTilt: 30,
+
+    // Buttons, in the standard mapping (A/Cross, X/Square, Start/Options)
+    buttons: {
+        boost: 0,
+        radar: 2,
+        start: 9
+    },
+
+    // Button states from the last poll, to act on presses only
+    pressed: {},
+
+    // Whether the stick steered last poll (so centring it hands control back once)
+    steering: false,
+
+    // Rumble strength (0-1) for the heavy and light motors
+    rumbleStrong: 0.8,
+    rumbleWeak: 0.5,
+    rumbleTimers: [],
+
+    // Event handler references (for cleanup)
+    _connectedHandler: null,
+    _disconnectedHandler: null,
+
+    /**
+     * Check if the Gamepad API is supported
+     */
+    isSupported() {
+        return typeof navigator.getGamepads === 'function';
+    },
+
+    /**
+     * Initialize: watch for controllers and rumble with Haptics
+     */
+    init() {
+        if (this.isInitialized || !this.isSupported()) return;
+
+        this._connectedHandler = (e) => this.handleConnected(e.gamepad);
+        this._disconnectedHandler = (e) => this.handleDisconnected(e.gamepad);
+        window.addEventListener('gamepadconnected', this._connectedHandler);
+        window.addEventListener('gamepaddisconnected', this._disconnectedHandler);
+
+        if (window.Haptics) {
+            Haptics.addActuator({
+                isAvailable: () => this.canRumble(),
+                vibrate: (steps) => this.rumble(steps),
+                stop: () => this.stopRumble()
+            });
+        }
+
+        this.isInitialized = true;
+    },
+
+    /**
+     * Start using a newly connected controller (the first one wins)
+     */
+    handleConnected(gamepad) {
+        if (this.index !== null) return;
+
+        this.index = gamepad.index;
+        this.pressed = {};
+        GameEvents.emit('gamepad:connected', { id: gamepad.id });
+    },
+
+    /**
+     * Stop using a controller when it's unplugged
+     */
+    handleDisconnected(gamepad) {
+        if (gamepad.index !== this.index) return;
+
+        this.stopRumble();
+        this.index = null;
+        this.pressed = {};
+        this.steering = false;
+        TiltControls.setAnalog(0, 0);
+        GameEvents.emit('gamepad:disconnected', { id: gamepad.id });
+    },
+
+    /**
+     * Get the controller in use
+     */
+    getGamepad() {
+        if (this.index === null || !this.isSupported()) return null;
+        return navigator.getGamepads()[this.index] || null;
+    },
+
+    /**
+     * Check if a controller is connected
+     */
+    isConnected() {
+        return this.getGamepad() !== null;
+    },
+
+    /**
+     * Read the stick and buttons (call once per frame)
+     */
+    update() {
+        const gamepad = this.getGamepad();
+        if (!gamepad || !this.enabled) return;
+
+        // A centred stick leaves steering to the keyboard or mouse
+        const [x, y] = this.applyDeadzone(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+        if (x || y || this.steering) {
+            TiltControls.setAnalog(x * this.maxTilt, y * this.maxTilt);
+            this.steering = !!(x || y);
+        }
+
+        if (this.wasPressed(gamepad, 'boost')) {
+            ShakeDetection.manualTrigger();
+        }
+
+        // Same cooldown as a double tap, and only while taps are live
+        if (this.wasPressed(gamepad, 'radar') && TouchControls.enabled) {
+            TouchControls.handleDoubleTap();
+        }
+
+        if (this.wasPressed(gamepad, 'start')) {
+            GameEvents.emit('gamepad:startPressed');
+        }
+    },
+
+    /**
+     * Drop stick drift around the centre, rescaling the rest so it still starts from 0
+     * @returns {number[]} [x, y], each -1 to 1
+     */
+    applyDeadzone(x, y) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude < this.deadzone) return [0, 0];
+
+        const scale = Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone)) / magnitude;
+        return [x * scale, y * scale];
+    },
+
+    /**
+     * Check if a button went down since the last poll
+     */
+    wasPressed(gamepad, action) {
+        const button = gamepad.buttons[this.buttons[action]];
+        const isDown = !!button && button.pressed;
+        const wasDown = !!this.pressed[action];
+
+        this.pressed[action] = isDown;
+        return isDown && !wasDown;
+    },
+
+    /**
+     * Get the controller's rumble motor (Chrome: vibrationActuator, Firefox: hapticActuators)
+     */
+    getActuator() {
+        const gamepad = this.getGamepad();
+        if (!gamepad) return null;
+        return gamepad.vibrationActuator || (gamepad.hapticActuators && gamepad.hapticActuators[0]) || null;
+    },
+
+    /**
+     * Check if the controller in use can rumble
+     */
+    canRumble() {
+        return this.enabled && this.getActuator() !== null;
+    },
+
+    /**
+     * Rumble a vibration pattern (pulse and pause lengths in ms, as navigator.vibrate takes)
+     * Each effect replaces the one before, so pulses are started one at a time
+     */
+    rumble(steps) {
+        const actuator = this.getActuator();
+        if (!actuator) return;
+
+        this.stopRumble();
+
+        let offset = 0;
+        steps.forEach((ms, index) => {
+            if (index % 2 === 0) {
+                this.rumbleTimers.push(setTimeout(() => this.playPulse(actuator, ms), offset));
+            }
+            offset += ms;
+        });
+    },
+
+    /**
+     * Play one rumble pulse
+     */
+    playPulse(actuator, duration) {
+        const done = actuator.playEffect
+            ? actuator.playEffect('dual-rumble', {
+                startDelay: 0,
+                duration,
+                strongMagnitude: this.rumbleStrong,
+                weakMagnitude: this.rumbleWeak
+            })
+            : actuator.pulse(this.rumbleStrong, duration);
+
+        // A newer pulse cuts this one off, which rejects its promise
+        if (done && done.catch) {
+            done.catch(() => {});
+        }
+    },
+
+    /**
+     * Stop rumbling and drop the rest of the pattern
+     */
+    stopRumble() {
+        this.rumbleTimers.forEach(timer => clearTimeout(timer));
+        this.rumbleTimers = [];
+
+        const actuator = this.getActuator();
+        if (actuator && actuator.reset) {
+            const done = actuator.reset();
+            if (done && done.catch) {
+                done.catch(() => {});
+            }
+        }
+    },
+
+    /**
+     * Enable gamepad input
+     */
+    enable() {
+        this.enabled = true;
+    },
+
+    /**
+     * Disable gamepad input (and rumble)
+     */
+    disable() {
+        this.enabled = false;
+        this.stopRumble();
+        this.steering = false;
+        TiltControls.setAnalog(0, 0);
+    },
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        if (this._connectedHandler) {
+            window.removeEventListener('gamepadconnected', this._connectedHandler);
+        }
+        if (this._disconnectedHandler) {
+            window.removeEventListener('gamepaddisconnected', this._disconnectedHandler);
+        }
+        this.stopRumble();
+        this.index = null;
+        this.isInitialized = false;
+    }
+};
+
+// Export
+window.GamepadControls = GamepadControls;
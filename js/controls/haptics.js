@@ -1,6 +1,8 @@
 /**
  * Haptics - Vibration feedback patterns
- * Provides tactile feedback for game events
+ * Provides tactile feedback for game events. Patterns go through a small
+ * scheduler: a stronger one cuts in, a weaker one waits its turn, and
+ * near-simultaneous ones merge so only the strongest plays
  */
 const Haptics = {
     enabled: true,
@@ -11,15 +13,71 @@ const Haptics = {
         chimneyFound: [50, 50, 50],                 // Double pulse - chimney in view
         boost: [100, 50, 100],                      // Boost activation
         windWarning: [200],                         // Long buzz - wind gust incoming
+        airplaneWarning: [100, 50, 100, 50, 300],   // Airplane about to cross
         timeWarning: [100, 100, 100, 100, 100],     // Urgent - 10 seconds left
         success: [50, 100, 50, 100, 200],           // Present delivered
         gameOver: [500],                            // Sad buzz
         powerUp: [30, 30, 30],                      // Sparkle collect
         collision: [150],                           // Sharp buzz - hit obstacle
         cold: [50, 200, 50, 200, 50],               // Ice cloud pattern
+        tangle: [60],                               // Light buzz - balloon caught
         miss: [300]                                 // Missed chimney
     },
 
+    // Priority per pattern: higher cuts in, lower or equal queues behind.
+    // Priority 0 is ambient and dropped rather than queued while anything plays
+    priorities: {
+        chimneyNear: 0,
+        powerUp: 1,
+        tangle: 1,
+        chimneyFound: 2,
+        boost: 2,
+        windWarning: 2,
+        collision: 3,
+        cold: 3,
+        airplaneWarning: 3,
+        timeWarning: 3,
+        miss: 3,
+        success: 4,
+        gameOver: 5
+    },
+
+    // Strength from 0 to 1: scales how long each pulse lasts (pauses keep their length)
+    intensity: 1,
+    minPulse: 10,                       // ms; motors can't make a shorter pulse
+
+    // Requests this soon after a pattern starts merge into it (the stronger one plays)
+    mergeWindow: 60,
+
+    // Queued patterns older than this are dropped - late feedback only confuses
+    maxQueueDelay: 1000,
+
+    // Extra motors that play every pattern alongside the phone's (e.g. a gamepad's
+    // rumble): { isAvailable(), vibrate(steps), stop() }, added with addActuator
+    actuators: [],
+
+    // While true, nothing plays (e.g. while watching a replay, nothing is being felt)
+    suppressed: false,
+
+    // Mirror mode: also announce each pattern as a haptics:played event so the
+    // UI can show it (on by default where there's no vibration)
+    mirror: false,
+
+    // Pattern playing now ({ name, priority, startedAt }), when it finishes
+    // (Date.now() ms), and what's waiting behind it
+    current: null,
+    busyUntil: 0,
+    queue: [],
+    queueTimer: null,
+
+    // Proximity ("getting warmer"): chimneyNear pulses come quicker as the
+    // nearest unseen chimney gets closer, and never cut into another pattern
+    proximityRange: 900,                // World distance where pulses start
+    proximityMaxInterval: 1500,         // ms between pulses at the edge of range
+    proximityMinInterval: 300,          // ms between pulses right next to it
+    proximityGap: 200,                  // ms of stillness kept after any other pattern
+    lastProximityPulse: -Infinity,
+
     /**
      * Check if vibration API is supported
      */
@@ -50,32 +108,198 @@ const Haptics = {
     },
 
     /**
-     * Vibrate with a specific pattern
+     * Add a motor that plays patterns alongside the phone's
+     */
+    addActuator(actuator) {
+        this.actuators.push(actuator);
+    },
+
+    /**
+     * Get the added motors that can play right now
+     */
+    getActuators() {
+        return this.actuators.filter(actuator => actuator.isAvailable());
+    },
+
+    /**
+     * Check if something can vibrate (the device or an added motor) and haptics are switched on
+     */
+    canVibrate() {
+        return this.enabled && this.intensity > 0 &&
+            (this.isSupported() || this.getActuators().length > 0);
+    },
+
+    /**
+     * Check if patterns have anywhere to go: the motor or the on-screen mirror
+     */
+    isActive() {
+        return this.canVibrate() || this.mirror;
+    },
+
+    /**
+     * Turn mirror mode on or off
+     */
+    setMirror(enabled) {
+        this.mirror = enabled;
+    },
+
+    /**
+     * Set feedback strength
+     * @param {number} percent - 0 (off) to 100
+     */
+    setIntensity(percent) {
+        this.intensity = Math.max(0, Math.min(100, percent)) / 100;
+    },
+
+    /**
+     * Get a pattern's priority (custom patterns count as 1)
+     */
+    getPriority(name) {
+        return name in this.priorities ? this.priorities[name] : 1;
+    },
+
+    /**
+     * Vibrate with a specific pattern, through the scheduler
      * @param {string|number[]} pattern - Pattern name or custom pattern array
      */
     vibrate(pattern) {
-        if (!this.enabled || !this.isSupported()) return;
+        if (!this.isActive() || this.suppressed) return;
+
+        const name = typeof pattern === 'string' ? pattern : null;
+        const steps = name ? this.patterns[name] : pattern;
+        if (!steps) return;
+
+        this.request({
+            name,
+            steps,
+            priority: this.getPriority(name),
+            requestedAt: Date.now()
+        });
+    },
+
+    /**
+     * Play a pattern now, queue it, or drop it, depending on what's playing
+     */
+    request(item) {
+        const now = Date.now();
+        const current = now < this.busyUntil ? this.current : null;
+
+        // Stronger than what's playing (or nothing is): play it now
+        if (!current || item.priority > current.priority) {
+            this.play(item);
+            return;
+        }
+
+        // Arrived together with what's playing, or ambient: the stronger one already covers it
+        if (now - current.startedAt < this.mergeWindow || item.priority === 0) return;
 
-        const vibrationPattern = typeof pattern === 'string'
-            ? this.patterns[pattern]
-            : pattern;
+        // Already waiting: merge
+        if (item.name && this.queue.some(queued => queued.name === item.name)) return;
 
-        if (vibrationPattern) {
+        // Strongest first, in arrival order within a priority (sort is stable)
+        this.queue.push(item);
+        this.queue.sort((a, b) => b.priority - a.priority);
+        this.scheduleNext();
+    },
+
+    /**
+     * Start a pattern, scaled to the current intensity, and mirror it if asked
+     */
+    play(item) {
+        const vibrating = this.canVibrate();
+        const steps = vibrating ? this.scale(item.steps) : item.steps;
+        const length = steps.reduce((total, ms) => total + ms, 0);
+
+        this.current = {
+            name: item.name,
+            priority: item.priority,
+            startedAt: Date.now()
+        };
+        this.busyUntil = this.current.startedAt + length;
+
+        if (vibrating) {
             try {
-                navigator.vibrate(vibrationPattern);
+                if (this.isSupported()) {
+                    navigator.vibrate(steps);
+                }
+                this.getActuators().forEach(actuator => actuator.vibrate(steps));
             } catch (e) {
                 console.warn('Vibration failed:', e);
             }
         }
+
+        if (this.mirror) {
+            GameEvents.emit('haptics:played', { name: item.name, steps: item.steps });
+        }
+
+        this.scheduleNext();
+    },
+
+    /**
+     * Scale a pattern's pulses (even entries) by intensity, leaving the pauses
+     */
+    scale(steps) {
+        return steps.map((ms, index) => {
+            if (index % 2 === 1) return ms;
+            return Math.max(this.minPulse, Math.round(ms * this.intensity));
+        });
+    },
+
+    /**
+     * Play the next queued pattern once the current one finishes
+     */
+    scheduleNext() {
+        if (this.queueTimer) {
+            clearTimeout(this.queueTimer);
+            this.queueTimer = null;
+        }
+        if (this.queue.length === 0) return;
+
+        this.queueTimer = setTimeout(() => {
+            this.queueTimer = null;
+
+            const now = Date.now();
+            this.queue = this.queue.filter(item => now - item.requestedAt <= this.maxQueueDelay);
+
+            const next = this.queue.shift();
+            if (next) {
+                this.play(next);
+            }
+        }, Math.max(0, this.busyUntil - Date.now()));
+    },
+
+    /**
+     * Play a pattern straight away, whatever is playing or queued (settings preview)
+     */
+    preview(name) {
+        if (!this.isActive() || !this.patterns[name]) return;
+
+        this.stop();
+        this.play({
+            name,
+            steps: this.patterns[name],
+            priority: this.getPriority(name),
+            requestedAt: Date.now()
+        });
     },
 
     /**
-     * Stop any ongoing vibration
+     * Stop any ongoing vibration and drop the queue
      */
     stop() {
+        this.queue = [];
+        this.current = null;
+        this.busyUntil = 0;
+
+        if (this.queueTimer) {
+            clearTimeout(this.queueTimer);
+            this.queueTimer = null;
+        }
+
         if (this.isSupported()) {
             navigator.vibrate(0);
         }
+        this.actuators.forEach(actuator => actuator.stop());
     },
 
     /**
@@ -92,6 +316,27 @@ const Haptics = {
         this.vibrate('chimneyNear');
     },
 
+    /**
+     * Pulse for the nearest unseen chimney, more often the closer it is
+     * @param {number|null} distance - World distance to it (null when there is none)
+     */
+    updateProximity(distance) {
+        if (distance === null || distance >= this.proximityRange) return;
+
+        const closeness = 1 - distance / this.proximityRange;
+        const interval = this.proximityMaxInterval -
+            (this.proximityMaxInterval - this.proximityMinInterval) * closeness;
+
+        const now = Date.now();
+        if (now - this.lastProximityPulse < interval) return;
+
+        // Let chimneyFound, success and the rest play out on their own
+        if (now < this.busyUntil + this.proximityGap) return;
+
+        this.lastProximityPulse = now;
+        this.chimneyNear();
+    },
+
     /**
      * Notify chimney is in view - tap now!
      */
@@ -113,6 +358,13 @@ const Haptics = {
         this.vibrate('windWarning');
     },
 
+    /**
+     * Airplane incoming warning
+     */
+    airplaneWarning() {
+        this.vibrate('airplaneWarning');
+    },
+
     /**
      * 10 seconds remaining warning
      */
@@ -155,6 +407,13 @@ const Haptics = {
         this.vibrate('cold');
     },
 
+    /**
+     * Balloon tangled on the sleigh
+     */
+    tangle() {
+        this.vibrate('tangle');
+    },
+
     /**
      * Missed a chimney
      */
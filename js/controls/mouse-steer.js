@@ -0,0 +1,268 @@
+/**
+ * Mouse Steering - Analog flight for desktop (optional, off by default)
+ * Rudolf flies toward the pointer: its offset from the centre of the screen
+ * becomes tilt through TiltControls' analog input, so diagonals and gentle
+ * turns work as they do with a phone. With pointer lock the system cursor is
+ * hidden and mouse movement drives a reticle instead, which can't leave the
+ * window. Clicks still go to TouchControls as chimney taps, at the reticle
+ */
+const MouseSteering = {
+    enabled: false,
+    isInitialized: false,
+
+    // Steer by pointer lock movement instead of the cursor's position
+    usePointerLock: false,
+    locked: false,
+
+    // True while the game is giving the pointer back itself (so it isn't taken for Esc)
+    releasing: false,
+
+    // Reticle position (client coordinates)
+    x: 0,
+    y: 0,
+
+    // Fraction of the distance from the centre to the nearest screen edge that
+    // gives full tilt, and the share of that around the centre that flies straight
+    reach: 0.6,
+    deadzone: 0.08,
+
+    // Tilt at full reach, in degrees (the same as a held arrow key)
+    maxTilt: 30,
+
+    // Whether the mouse steered last frame (so letting go of it hands control back once)
+    steering: false,
+
+    // Target element
+    targetElement: null,
+
+    // Event handler references (for cleanup)
+    _handlers: {},
+
+    /**
+     * Check if pointer lock is available
+     */
+    canLockPointer() {
+        return !!(this.targetElement && this.targetElement.requestPointerLock);
+    },
+
+    /**
+     * Initialize mouse tracking
+     */
+    init(elementId = 'game-canvas') {
+        if (this.isInitialized) return;
+
+        this.targetElement = document.getElementById(elementId);
+        if (!this.targetElement) {
+            console.warn('Target element not found:', elementId);
+            return;
+        }
+
+        this.centerReticle();
+        this.bindEvents();
+        this.isInitialized = true;
+    },
+
+    /**
+     * Bind mouse and pointer lock events
+     */
+    bindEvents() {
+        this._handlers.mousemove = (e) => this.handleMouseMove(e);
+        this._handlers.mousedown = (e) => this.handleMouseDown(e);
+        this._handlers.pointerlockchange = () => this.handlePointerLockChange();
+
+        window.addEventListener('mousemove', this._handlers.mousemove);
+        this.targetElement.addEventListener('mousedown', this._handlers.mousedown);
+        document.addEventListener('pointerlockchange', this._handlers.pointerlockchange);
+    },
+
+    /**
+     * Move the reticle: to the cursor, or by the movement while the pointer is locked
+     */
+    handleMouseMove(event) {
+        if (!this.enabled) return;
+
+        if (this.locked) {
+            const rect = this.targetElement.getBoundingClientRect();
+            this.x = Math.max(rect.left, Math.min(rect.right, this.x + (event.movementX || 0)));
+            this.y = Math.max(rect.top, Math.min(rect.bottom, this.y + (event.movementY || 0)));
+        } else {
+            this.x = event.clientX;
+            this.y = event.clientY;
+        }
+    },
+
+    /**
+     * Lock the pointer on the first click in the game (browsers only allow it in a gesture)
+     */
+    handleMouseDown(event) {
+        if (!this.enabled || !this.usePointerLock || this.locked) return;
+        if (!this.canLockPointer() || !TiltControls.enabled) return;
+
+        // Start the reticle where the cursor was, so nothing jumps
+        this.x = event.clientX;
+        this.y = event.clientY;
+
+        this.lock();
+    },
+
+    /**
+     * Lock the pointer to the game, if pointer lock steering is on
+     * Browsers only allow it inside a user gesture; otherwise the next click locks it
+     */
+    lock() {
+        if (!this.enabled || !this.usePointerLock || this.locked || !this.canLockPointer()) return;
+
+        try {
+            const request = this.targetElement.requestPointerLock();
+            if (request && request.catch) {
+                request.catch(e => console.warn('Pointer lock failed:', e));
+            }
+        } catch (e) {
+            console.warn('Pointer lock failed:', e);
+        }
+    },
+
+    /**
+     * Track the lock; the player taking it back mid-flight (Esc) pauses the game
+     */
+    handlePointerLockChange() {
+        const wasLocked = this.locked;
+        this.locked = document.pointerLockElement === this.targetElement;
+
+        if (wasLocked && !this.locked) {
+            if (!this.releasing) {
+                GameEvents.emit('mouse:unlocked');
+            }
+            this.releasing = false;
+        }
+    },
+
+    /**
+     * Turn the reticle into tilt (call once per frame)
+     */
+    update() {
+        if (!this.enabled || !TiltControls.enabled) {
+            this.release();
+            return;
+        }
+
+        const [x, y] = this.getOffset();
+        TiltControls.setAnalog(x * this.maxTilt, y * this.maxTilt);
+        this.steering = true;
+    },
+
+    /**
+     * Hand steering back to the other controls if the mouse had it
+     */
+    release() {
+        if (!this.steering) return;
+
+        this.steering = false;
+        TiltControls.setAnalog(0, 0);
+    },
+
+    /**
+     * Get the reticle's offset from the centre of the game, scaled to full reach
+     * @returns {number[]} [x, y], each -1 to 1 (0, 0 inside the dead zone)
+     */
+    getOffset() {
+        const rect = this.targetElement.getBoundingClientRect();
+        const radius = Math.min(rect.width, rect.height) / 2 * this.reach;
+        if (radius <= 0) return [0, 0];
+
+        const dx = (this.x - (rect.left + rect.width / 2)) / radius;
+        const dy = (this.y - (rect.top + rect.height / 2)) / radius;
+
+        const magnitude = Math.hypot(dx, dy);
+        if (magnitude < this.deadzone) return [0, 0];
+
+        const scale = Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone)) / magnitude;
+        return [dx * scale, dy * scale];
+    },
+
+    /**
+     * Get the reticle position for drawing and taps (client coordinates)
+     */
+    getPosition() {
+        return { x: this.x, y: this.y };
+    },
+
+    /**
+     * Check if the pointer is locked to the game
+     */
+    isLocked() {
+        return this.locked;
+    },
+
+    /**
+     * Put the reticle in the centre of the game (flying straight)
+     */
+    centerReticle() {
+        if (!this.targetElement) return;
+
+        const rect = this.targetElement.getBoundingClientRect();
+        this.x = rect.left + rect.width / 2;
+        this.y = rect.top + rect.height / 2;
+    },
+
+    /**
+     * Turn mouse steering on or off
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        document.body.classList.toggle('mouse-steer', enabled);
+
+        if (!enabled) {
+            this.unlock();
+            this.release();
+        }
+    },
+
+    /**
+     * Choose between steering by cursor position and by pointer lock movement
+     */
+    setPointerLock(enabled) {
+        this.usePointerLock = enabled;
+        if (!enabled) {
+            this.unlock();
+        }
+    },
+
+    /**
+     * Give the pointer back (e.g. so menus can be clicked)
+     */
+    unlock() {
+        if (this.locked && document.exitPointerLock) {
+            this.releasing = true;
+            document.exitPointerLock();
+        }
+    },
+
+    /**
+     * Reset for a new level
+     */
+    reset() {
+        this.unlock();
+        this.centerReticle();
+        this.release();
+    },
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.unlock();
+
+        window.removeEventListener('mousemove', this._handlers.mousemove);
+        document.removeEventListener('pointerlockchange', this._handlers.pointerlockchange);
+        if (this.targetElement) {
+            this.targetElement.removeEventListener('mousedown', this._handlers.mousedown);
+        }
+
+        this._handlers = {};
+        this.isInitialized = false;
+    }
+};
+
+// Export
+window.MouseSteering = MouseSteering;
@@ -10,7 +10,7 @@ const ShakeDetection = {
 
     // Cooldown settings
     cooldown: 2000,
-    lastShake: 0,
+    lastShake: -Infinity,               // Game time (GameClock) of the last boost
 
     // Boost charges
     maxCharges: 3,
@@ -37,12 +37,6 @@ const ShakeDetection = {
     // Event handler reference
     _motionHandler: null,
 
-    // Callbacks
-    onShake: null,
-    onOverheat: null,
-    onCooldownEnd: null,
-    onChargeChange: null,
-
     /**
      * Check if Device Motion API is supported
      */
@@ -180,7 +174,7 @@ const ShakeDetection = {
         this.lastAcceleration = current;
 
         // Check for shake
-        const now = Date.now();
+        const now = GameClock.now();
         const timeSinceLastShake = now - this.lastShake;
 
         if (avgDelta > this.sensitivity && timeSinceLastShake > this.cooldown) {
@@ -196,7 +190,7 @@ const ShakeDetection = {
     manualTrigger() {
         if (!this.enabled || this.isOverheated) return;
 
-        const now = Date.now();
+        const now = GameClock.now();
         const timeSinceLastShake = now - this.lastShake;
 
         if (timeSinceLastShake > this.cooldown && this.charges > 0) {
@@ -208,7 +202,7 @@ const ShakeDetection = {
      * Trigger a shake event
      */
     triggerShake() {
-        const now = Date.now();
+        const now = GameClock.now();
         this.lastShake = now;
         this.charges--;
 
@@ -220,13 +214,8 @@ const ShakeDetection = {
             this.overheat();
         }
 
-        if (this.onShake) {
-            this.onShake();
-        }
-
-        if (this.onChargeChange) {
-            this.onChargeChange(this.charges);
-        }
+        GameEvents.emit('shake:detected');
+        GameEvents.emit('boost:chargesChanged', { charges: this.charges });
 
         if (window.Haptics) {
             Haptics.boost();
@@ -238,10 +227,10 @@ const ShakeDetection = {
      */
     resetShakeCountTimer() {
         if (this.shakeCountTimer) {
-            clearTimeout(this.shakeCountTimer);
+            GameClock.clearTimeout(this.shakeCountTimer);
         }
 
-        this.shakeCountTimer = setTimeout(() => {
+        this.shakeCountTimer = GameClock.setTimeout(() => {
             this.shakeCount = 0;
         }, this.shakeCountWindow);
     },
@@ -253,15 +242,12 @@ const ShakeDetection = {
         this.isOverheated = true;
         this.shakeCount = 0;
 
-        if (this.onOverheat) {
-            this.onOverheat();
-        }
+        GameEvents.emit('shake:overheated');
 
-        this.overheatTimer = setTimeout(() => {
+        this.overheatTimer = GameClock.setTimeout(() => {
             this.isOverheated = false;
-            if (this.onCooldownEnd) {
-                this.onCooldownEnd();
-            }
+            this.overheatTimer = null;
+            GameEvents.emit('shake:cooledDown');
         }, this.overheatDuration);
     },
 
@@ -278,9 +264,7 @@ const ShakeDetection = {
     addCharge() {
         if (this.charges < this.maxCharges) {
             this.charges++;
-            if (this.onChargeChange) {
-                this.onChargeChange(this.charges);
-            }
+            GameEvents.emit('boost:chargesChanged', { charges: this.charges });
         }
     },
 
@@ -289,9 +273,7 @@ const ShakeDetection = {
      */
     resetCharges() {
         this.charges = this.maxCharges;
-        if (this.onChargeChange) {
-            this.onChargeChange(this.charges);
-        }
+        GameEvents.emit('boost:chargesChanged', { charges: this.charges });
     },
 
     /**
@@ -299,14 +281,14 @@ const ShakeDetection = {
      */
     canBoost() {
         return this.charges > 0 && !this.isOverheated &&
-               (Date.now() - this.lastShake) > this.cooldown;
+               (GameClock.now() - this.lastShake) > this.cooldown;
     },
 
     /**
      * Get cooldown remaining
      */
     getCooldownRemaining() {
-        const elapsed = Date.now() - this.lastShake;
+        const elapsed = GameClock.now() - this.lastShake;
         return Math.max(0, this.cooldown - elapsed);
     },
 
@@ -338,22 +320,20 @@ const ShakeDetection = {
         this.charges = this.maxCharges;
         this.isOverheated = false;
         this.shakeCount = 0;
-        this.lastShake = 0;
+        this.lastShake = -Infinity;
         this.accelerationBuffer = [];
 
         if (this.overheatTimer) {
-            clearTimeout(this.overheatTimer);
+            GameClock.clearTimeout(this.overheatTimer);
             this.overheatTimer = null;
         }
 
         if (this.shakeCountTimer) {
-            clearTimeout(this.shakeCountTimer);
+            GameClock.clearTimeout(this.shakeCountTimer);
             this.shakeCountTimer = null;
         }
 
-        if (this.onChargeChange) {
-            this.onChargeChange(this.charges);
-        }
+        GameEvents.emit('boost:chargesChanged', { charges: this.charges });
     },
 
     /**
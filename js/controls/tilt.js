@@ -29,14 +29,15 @@ const TiltControls = {
     useFallback: false,
     keyState: { left: false, right: false, up: false, down: false },
 
+    // Analog input (gamepad stick) as tilt in degrees; null while the stick is centred.
+    // While set it steers instead of the gyroscope and keyboard
+    analog: null,
+
     // Event handler reference (for cleanup)
     _orientationHandler: null,
     _keydownHandler: null,
     _keyupHandler: null,
 
-    // Callbacks
-    onUpdate: null,
-
     /**
      * Check if Device Orientation API is supported
      */
@@ -149,7 +150,7 @@ const TiltControls = {
      * Handle device orientation event
      */
     handleOrientation(event) {
-        if (!this.enabled) return;
+        if (!this.enabled || this.analog) return;
 
         // Get raw values with null checks
         let gamma = event.gamma;
@@ -195,14 +196,12 @@ const TiltControls = {
         this.smoothedBeta += (beta - this.smoothedBeta) * this.smoothing;
 
         // Notify listeners
-        if (this.onUpdate) {
-            this.onUpdate({
-                gamma: this.smoothedGamma,
-                beta: this.smoothedBeta,
-                rawGamma: gamma,
-                rawBeta: beta
-            });
-        }
+        GameEvents.emit('tilt:changed', {
+            gamma: this.smoothedGamma,
+            beta: this.smoothedBeta,
+            rawGamma: gamma,
+            rawBeta: beta
+        });
     },
 
     /**
@@ -278,12 +277,35 @@ const TiltControls = {
         this.smoothedBeta += (targetBeta - this.smoothedBeta) * 0.2;
     },
 
+    /**
+     * Set analog tilt (from a gamepad stick); 0, 0 hands control back
+     * @param {number} gamma - Left/right tilt in degrees
+     * @param {number} beta - Forward/back tilt in degrees
+     */
+    setAnalog(gamma, beta) {
+        this.analog = gamma || beta ? { gamma, beta } : null;
+    },
+
+    /**
+     * Update tilt values from analog input
+     */
+    updateFromAnalog() {
+        this.gamma = this.analog.gamma;
+        this.beta = this.analog.beta;
+
+        // Apply smoothing
+        this.smoothedGamma += (this.gamma - this.smoothedGamma) * 0.2;
+        this.smoothedBeta += (this.beta - this.smoothedBeta) * 0.2;
+    },
+
     /**
      * Get velocity based on current tilt
      */
     getVelocity() {
-        // Update from keyboard if using fallback
-        if (this.useFallback) {
+        // Update from the stick, or from keyboard if using fallback
+        if (this.analog) {
+            this.updateFromAnalog();
+        } else if (this.useFallback) {
             this.updateFromKeyboard();
         }
 
@@ -403,6 +425,7 @@ const TiltControls = {
         this.smoothedGamma = 0;
         this.smoothedBeta = 0;
         this.keyState = { left: false, right: false, up: false, down: false };
+        this.analog = null;
     },
 
     /**
@@ -24,7 +24,7 @@ const TouchControls = {
 
     // Radar cooldown
     radarCooldown: 10000,
-    lastRadar: 0,
+    lastRadar: -Infinity,               // Game time (GameClock) of the last radar
 
     // Active touches
     activeTouches: new Map(),
@@ -38,13 +38,6 @@ const TouchControls = {
     // Mouse state (for desktop)
     isMouseDown: false,
 
-    // Callbacks
-    onTap: null,
-    onDoubleTap: null,
-    onHoldStart: null,
-    onHoldEnd: null,
-    onTwoFingerTap: null,
-
     /**
      * Initialize touch controls
      */
@@ -95,8 +88,8 @@ const TouchControls = {
 
         // Escape key to pause (desktop)
         this._handlers.keydown = (e) => {
-            if (e.code === 'Escape' && this.enabled && this.onTwoFingerTap) {
-                this.onTwoFingerTap();
+            if (e.code === 'Escape' && this.enabled) {
+                GameEvents.emit('touch:twoFingerTap');
             }
         };
         window.addEventListener('keydown', this._handlers.keydown);
@@ -113,9 +106,7 @@ const TouchControls = {
 
         // Two-finger tap for pause
         if (touches.length === 2) {
-            if (this.onTwoFingerTap) {
-                this.onTwoFingerTap();
-            }
+            GameEvents.emit('touch:twoFingerTap');
             return;
         }
 
@@ -170,7 +161,8 @@ const TouchControls = {
 
         event.preventDefault();
         this.isMouseDown = true;
-        this.startInteraction(event.clientX, event.clientY, 'mouse');
+        const { x, y } = this.getMousePosition(event);
+        this.startInteraction(x, y, 'mouse');
     },
 
     /**
@@ -182,7 +174,8 @@ const TouchControls = {
 
         event.preventDefault();
         this.isMouseDown = false;
-        this.endInteraction(event.clientX, event.clientY, 'mouse');
+        const { x, y } = this.getMousePosition(event);
+        this.endInteraction(x, y, 'mouse');
     },
 
     /**
@@ -190,7 +183,19 @@ const TouchControls = {
      */
     handleMouseMove(event) {
         if (!this.enabled || !this.isMouseDown) return;
-        this.moveInteraction(event.clientX, event.clientY, 'mouse');
+        const { x, y } = this.getMousePosition(event);
+        this.moveInteraction(x, y, 'mouse');
+    },
+
+    /**
+     * Get where a mouse event points: the cursor, or the steering reticle
+     * while the pointer is locked (the cursor doesn't move then)
+     */
+    getMousePosition(event) {
+        if (window.MouseSteering && MouseSteering.isLocked()) {
+            return MouseSteering.getPosition();
+        }
+        return { x: event.clientX, y: event.clientY };
     },
 
     /**
@@ -217,9 +222,7 @@ const TouchControls = {
 
         this.holdTimer = setTimeout(() => {
             this.isHolding = true;
-            if (this.onHoldStart) {
-                this.onHoldStart(x, y);
-            }
+            GameEvents.emit('touch:holdStarted', { x, y });
         }, this.holdThreshold);
     },
 
@@ -236,9 +239,7 @@ const TouchControls = {
         // Handle hold end
         if (this.isHolding) {
             this.isHolding = false;
-            if (this.onHoldEnd) {
-                this.onHoldEnd();
-            }
+            GameEvents.emit('touch:holdEnded');
             this.activeTouches.delete(id);
             return;
         }
@@ -259,9 +260,7 @@ const TouchControls = {
             this.lastTap = 0;
         } else {
             // Single tap
-            if (this.onTap) {
-                this.onTap(x, y);
-            }
+            GameEvents.emit('touch:tap', { x, y });
             this.lastTap = now;
             this.lastTapPosition = { x, y };
         }
@@ -311,12 +310,8 @@ const TouchControls = {
      * Handle double tap (radar)
      */
     handleDoubleTap() {
-        const now = Date.now();
-        if (now - this.lastRadar >= this.radarCooldown) {
-            this.lastRadar = now;
-            if (this.onDoubleTap) {
-                this.onDoubleTap();
-            }
+        if (this.canUseRadar()) {
+            GameEvents.emit('touch:doubleTap');
         }
     },
 
@@ -333,14 +328,21 @@ const TouchControls = {
      * Check if radar available
      */
     canUseRadar() {
-        return (Date.now() - this.lastRadar) >= this.radarCooldown;
+        return (GameClock.now() - this.lastRadar) >= this.radarCooldown;
+    },
+
+    /**
+     * Start the radar cooldown (once the radar has been used)
+     */
+    startRadarCooldown() {
+        this.lastRadar = GameClock.now();
     },
 
     /**
      * Get radar cooldown remaining
      */
     getRadarCooldown() {
-        const elapsed = Date.now() - this.lastRadar;
+        const elapsed = GameClock.now() - this.lastRadar;
         return Math.max(0, this.radarCooldown - elapsed);
     },
 
@@ -380,7 +382,7 @@ const TouchControls = {
      */
     reset() {
         this.lastTap = 0;
-        this.lastRadar = 0;
+        this.lastRadar = -Infinity;
         this.isHolding = false;
         this.isMouseDown = false;
         this.activeTouches.clear();
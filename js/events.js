@@ -0,0 +1,137 @@
+/**
+ * Game Events - Named game events that any number of listeners can subscribe to
+ * Systems emit what happened (a delivery, a pickup, a boost); the game, UI,
+ * haptics, audio and anything else listen without replacing each other
+ *
+ *   const off = GameEvents.on('chimney:delivered', ({ isPerfect }) => { ... });
+ *   off();  // unsubscribe
+ */
+const GameEvents = {
+    // Known events and the payload fields each one carries
+    types: {
+        'chimney:spotted': ['chimney'],
+        'chimney:delivered': ['chimney', 'isPerfect', 'delivered', 'total'],
+        'chimney:missed': ['chimney', 'missed'],
+        'chimney:allDelivered': [],
+        'chimney:allResolved': ['delivered', 'missed'],
+
+        'powerup:collected': ['type', 'typeData', 'x', 'y'],
+        'powerup:effectStarted': ['type', 'typeData'],
+        'powerup:effectEnded': ['type'],
+
+        'hazard:hit': ['hazard', 'typeData', 'target'],
+        'sleigh:balloonsReleased': ['balloons'],
+
+        'wind:warning': ['directionX', 'directionY'],
+        'wind:gustStarted': ['directionX', 'directionY', 'strength'],
+        'wind:gustEnded': [],
+
+        'boost:activated': ['x', 'y', 'radius'],
+        'boost:ended': [],
+        'boost:chargesChanged': ['charges'],
+
+        'shake:detected': [],
+        'shake:overheated': [],
+        'shake:cooledDown': [],
+
+        'tilt:changed': ['gamma', 'beta', 'rawGamma', 'rawBeta'],
+
+        'touch:tap': ['x', 'y'],
+        'touch:doubleTap': [],
+        'touch:twoFingerTap': [],
+        'touch:holdStarted': ['x', 'y'],
+        'touch:holdEnded': [],
+
+        'gamepad:connected': ['id'],
+        'gamepad:disconnected': ['id'],
+        'gamepad:startPressed': [],
+
+        'mouse:unlocked': [],
+
+        'level:started': ['level'],
+        'level:ended': ['level', 'completed', 'reason'],
+        'level:quit': ['level'],
+
+        'haptics:played': ['name', 'steps']
+    },
+
+    // Listeners by event name
+    listeners: new Map(),
+
+    /**
+     * Subscribe to an event
+     * @param {string} name - Event name (one of types)
+     * @param {Function} handler - Called with the event's payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(name, handler) {
+        if (!(name in this.types)) {
+            console.warn('Unknown game event:', name);
+        }
+
+        if (!this.listeners.has(name)) {
+            this.listeners.set(name, []);
+        }
+        this.listeners.get(name).push(handler);
+
+        return () => this.off(name, handler);
+    },
+
+    /**
+     * Subscribe to the next time an event fires only
+     */
+    once(name, handler) {
+        const off = this.on(name, (payload) => {
+            off();
+            handler(payload);
+        });
+        return off;
+    },
+
+    /**
+     * Unsubscribe a handler
+     */
+    off(name, handler) {
+        const handlers = this.listeners.get(name);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    },
+
+    /**
+     * Fire an event, calling listeners in the order they subscribed
+     * A listener that throws is logged and the rest still run
+     * @param {string} name - Event name (one of types)
+     * @param {Object} payload - Event details
+     */
+    emit(name, payload = {}) {
+        const handlers = this.listeners.get(name);
+        if (!handlers || handlers.length === 0) return;
+
+        // Copy so listeners can unsubscribe while the event fires
+        for (const handler of handlers.slice()) {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`Error in ${name} listener:`, e);
+            }
+        }
+    },
+
+    /**
+     * Remove every listener for an event, or for all events
+     */
+    clear(name) {
+        if (name) {
+            this.listeners.delete(name);
+        } else {
+            this.listeners.clear();
+        }
+    }
+};
+
+// Export for use in other modules
+window.GameEvents = GameEvents;
@@ -1,12 +1,20 @@
 /**
  * Fog System - Creates and manages the fog that covers the game world
  * Rudolf's nose clears visibility through the fog
+ * The fog layer is screen-sized; visibility holes are in world coordinates
  */
 class FogSystem {
     constructor(width, height) {
         this.width = width;
         this.height = height;
 
+        // Random source (Math, or a seeded stream set per level by Game)
+        this.rng = Math;
+
+        // World the holes live in (defaults to the screen until setWorldSize)
+        this.worldWidth = width;
+        this.worldHeight = height;
+
         // Fog density levels
         this.densityLevels = {
             light: 0.7,
@@ -21,11 +29,10 @@ class FogSystem {
         // Fog color
         this.fogColor = { r: 200, g: 210, b: 220 };
 
-        // Create off-screen canvas for fog
-        this.fogCanvas = document.createElement('canvas');
-        this.fogCanvas.width = width;
-        this.fogCanvas.height = height;
-        this.fogCtx = this.fogCanvas.getContext('2d');
+        // Off-screen canvas for fog, created on first render so the
+        // visibility math also runs without a DOM
+        this.fogCanvas = null;
+        this.fogCtx = null;
 
         // Visibility holes
         this.visibilityHoles = [];
@@ -40,15 +47,16 @@ class FogSystem {
      */
     initParticles() {
         const particleCount = 50;
+        this.particles = [];
 
         for (let i = 0; i < particleCount; i++) {
             this.particles.push({
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                size: 100 + Math.random() * 200,
-                speedX: (Math.random() - 0.5) * 0.5,
-                speedY: (Math.random() - 0.5) * 0.2,
-                opacity: 0.1 + Math.random() * 0.2
+                x: this.rng.random() * this.width,
+                y: this.rng.random() * this.height,
+                size: 100 + this.rng.random() * 200,
+                speedX: (this.rng.random() - 0.5) * 0.5,
+                speedY: (this.rng.random() - 0.5) * 0.2,
+                opacity: 0.1 + this.rng.random() * 0.2
             });
         }
     }
@@ -82,7 +90,7 @@ class FogSystem {
 
         // Clean up old visibility holes
         this.visibilityHoles = this.visibilityHoles.filter(hole => {
-            return !hole.temporary || hole.expiry > Date.now();
+            return !hole.temporary || hole.expiry > GameClock.now();
         });
     }
 
@@ -95,7 +103,7 @@ class FogSystem {
             y,
             radius,
             temporary,
-            expiry: temporary ? Date.now() + duration : Infinity
+            expiry: temporary ? GameClock.now() + duration : Infinity
         };
 
         if (!temporary) {
@@ -129,7 +137,9 @@ class FogSystem {
      * Reveal all (for bell power-up)
      */
     revealAll(duration) {
-        this.addVisibilityHole(this.width / 2, this.height / 2, Math.max(this.width, this.height), true, duration);
+        // Radius reaches the world corners from its center
+        const radius = Math.sqrt(this.worldWidth ** 2 + this.worldHeight ** 2) / 2 / 0.8;
+        this.addVisibilityHole(this.worldWidth / 2, this.worldHeight / 2, radius, true, duration);
     }
 
     /**
@@ -148,6 +158,19 @@ class FogSystem {
         return false;
     }
 
+    /**
+     * Check if a point is lit by Rudolf's nose itself, rather than by a bell
+     * reveal or a boost burst left behind
+     */
+    isPointInNoseLight(x, y) {
+        const nose = this.visibilityHoles.find(hole => !hole.temporary);
+        if (!nose) return false;
+
+        const dx = x - nose.x;
+        const dy = y - nose.y;
+        return Math.sqrt(dx * dx + dy * dy) < nose.radius * 0.8;
+    }
+
     /**
      * Get visibility level at a point (0 = hidden, 1 = fully visible)
      */
@@ -171,9 +194,11 @@ class FogSystem {
 
     /**
      * Render the fog layer
+     * @param {CanvasRenderingContext2D} ctx - Main canvas context (screen space)
+     * @param {Camera} camera - Used to place world-space holes on screen
      */
-    render(ctx) {
-        const fogCtx = this.fogCtx;
+    render(ctx, camera) {
+        const fogCtx = this.getFogContext();
 
         // Clear fog canvas
         fogCtx.clearRect(0, 0, this.width, this.height);
@@ -198,7 +223,11 @@ class FogSystem {
         });
 
         // Cut out visibility holes
+        fogCtx.save();
         fogCtx.globalCompositeOperation = 'destination-out';
+        if (camera) {
+            camera.apply(fogCtx);
+        }
 
         this.visibilityHoles.forEach(hole => {
             // Create radial gradient for smooth edge
@@ -219,21 +248,45 @@ class FogSystem {
             fogCtx.fill();
         });
 
-        // Reset composite operation
-        fogCtx.globalCompositeOperation = 'source-over';
+        // Reset composite operation and transform
+        fogCtx.restore();
 
         // Draw fog canvas onto main canvas
         ctx.drawImage(this.fogCanvas, 0, 0);
     }
 
+    /**
+     * Get the off-screen fog canvas context, creating it if needed
+     */
+    getFogContext() {
+        if (!this.fogCanvas) {
+            this.fogCanvas = document.createElement('canvas');
+            this.fogCanvas.width = this.width;
+            this.fogCanvas.height = this.height;
+            this.fogCtx = this.fogCanvas.getContext('2d');
+        }
+        return this.fogCtx;
+    }
+
+    /**
+     * Set the size of the world the holes are placed in
+     */
+    setWorldSize(width, height) {
+        this.worldWidth = width;
+        this.worldHeight = height;
+    }
+
     /**
      * Resize fog system
      */
     resize(width, height) {
         this.width = width;
         this.height = height;
-        this.fogCanvas.width = width;
-        this.fogCanvas.height = height;
+
+        if (this.fogCanvas) {
+            this.fogCanvas.width = width;
+            this.fogCanvas.height = height;
+        }
     }
 
     /**
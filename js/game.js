@@ -8,10 +8,31 @@ const Game = {
     canvas: null,
     ctx: null,
 
-    // Game dimensions
+    // Screen dimensions (CSS pixels)
     width: 0,
     height: 0,
 
+    // World dimensions - the same on every screen, the camera shows part of it
+    worldWidth: 2400,
+    worldHeight: 1600,
+    camera: null,
+
+    // Level seed - the same seed always builds the same level
+    seed: 0,
+    random: null,
+
+    // Challenge from a shared link ({ level, layout, target }), and the code
+    // for the layout being played so it can be shared in turn
+    challenge: null,
+    layoutCode: '',
+
+    // Level selected before watching a replay, restored afterwards
+    levelBeforeReplay: 1,
+
+    // Best run's ghost (drawn with Rudolf's look) and the last split shown
+    ghostRudolf: null,
+    ghostSplit: 0,
+
     // Game state
     state: 'menu',
     isRunning: false,
@@ -23,10 +44,11 @@ const Game = {
     timer: 0,
     timeWarningPlayed: false,
 
-    // Frame rate management
+    // Fixed-timestep simulation: update() always advances by frameInterval,
+    // however fast the screen refreshes
     targetFPS: 60,
     frameInterval: 1000 / 60,
-    lastFrameTime: 0,
+    accumulator: 0,
 
     // Score tracking
     score: 0,
@@ -39,6 +61,10 @@ const Game = {
     fogSystem: null,
     chimneySystem: null,
     powerUpSystem: null,
+    hazardSystem: null,
+    windSystem: null,
+    buildingSystem: null,
+    terrainSystem: null,
 
     // Current level
     currentLevel: null,
@@ -87,6 +113,14 @@ const Game = {
             // Initialize UI
             UI.init();
             this.setupUICallbacks();
+            this.setupEventListeners();
+
+            // Sound starts on the first tap or key press
+            AudioEngine.init();
+
+            // Controllers can be plugged in at any time
+            GamepadControls.init();
+            MouseSteering.init('game-canvas');
 
             // Setup boost button for desktop/fallback
             this.setupBoostButton();
@@ -103,6 +137,12 @@ const Game = {
                 fallback: this.usingFallbackControls
             });
 
+            // Opened from a challenge link - go straight into that level
+            if (this.loadChallenge()) {
+                Levels.setLevel(this.challenge.level);
+                this.handlePlayClick();
+            }
+
         } catch (error) {
             console.error('Game initialization failed:', error);
             this.showError('Failed to initialize game. Please refresh the page.');
@@ -129,6 +169,11 @@ const Game = {
                 if (hapticsSettings) hapticsSettings.style.display = 'none';
                 if (calibrateBtn) calibrateBtn.style.display = 'none';
             }
+
+            // Nothing to vibrate: show haptic cues on screen instead
+            if (window.Haptics) {
+                Haptics.setMirror(!DeviceCompat.hasVibration);
+            }
         }
     },
 
@@ -185,9 +230,62 @@ const Game = {
         UI.onPause = () => this.pause();
         UI.onResume = () => this.resume();
         UI.onQuit = () => this.quit();
-        UI.onRetry = () => this.startLevel(Levels.currentLevel);
+        UI.onRetry = () => this.retryLevel();
+        UI.onRaceGhost = () => this.retryLevel();
         UI.onNextLevel = () => this.startLevel(Levels.currentLevel + 1);
         UI.onCalibrate = () => this.calibrate();
+        UI.onChallenge = () => this.shareChallenge();
+        UI.onReplaysClick = () => this.showReplays(Levels.currentLevel);
+        UI.onReplayLevelSelect = (level) => this.showReplays(level);
+        UI.onReplaySelect = (id) => this.playReplay(id);
+        UI.onReplayToggle = () => this.toggleReplay();
+        UI.onReplaySpeed = (speed) => this.setReplaySpeed(speed);
+        UI.onReplaySeek = (tick) => this.seekReplay(tick);
+        UI.onReplayExit = () => this.exitReplay();
+    },
+
+    /**
+     * Read a challenge from the page URL
+     * @returns {boolean} True if a valid challenge was found
+     */
+    loadChallenge() {
+        const link = Challenge.readFromUrl();
+        if (!link) return false;
+
+        const config = Levels.configs[link.level - 1];
+        const layout = Challenge.decodeLayout(link.layoutCode);
+
+        // The layout has to fit the level it claims to be for
+        if (!config || !layout ||
+            layout.chimneys.length !== config.chimneys ||
+            layout.powerups.length !== config.powerups) {
+            console.warn('Ignoring invalid challenge link');
+            UI.showToast('That challenge link doesn\'t work');
+            return false;
+        }
+
+        this.challenge = {
+            level: link.level,
+            layout,
+            target: link.target
+        };
+        return true;
+    },
+
+    /**
+     * Share the level just played as a challenge, with the score to beat
+     */
+    async shareChallenge() {
+        const level = Levels.currentLevel;
+        const url = Challenge.buildUrl(level, this.layoutCode, this.score);
+        const text = `I scored ${this.score.toLocaleString()} on level ${level} of Rudolf. Can you beat it?`;
+
+        const result = await Challenge.share(url, text);
+        if (result === 'copied') {
+            UI.showToast('🔗 Challenge link copied!');
+        } else if (result === 'failed') {
+            UI.showToast('Couldn\'t share the challenge link');
+        }
     },
 
     /**
@@ -284,13 +382,206 @@ const Game = {
         );
     },
 
+    /**
+     * Store the run that just ended so it can be replayed
+     * @param {boolean} completed - True if every chimney was resolved in time
+     */
+    saveRecording(completed) {
+        const run = Replay.finishRecording({ score: this.score, completed });
+        if (!run) return;
+
+        ReplayStore.save(run).catch(error => {
+            console.warn('Could not save replay:', error);
+        });
+    },
+
+    /**
+     * Show the recorded runs for a level
+     */
+    async showReplays(level) {
+        let runs = [];
+        try {
+            runs = await ReplayStore.listForLevel(level);
+        } catch (error) {
+            console.warn('Could not load replays:', error);
+            UI.showToast('Replays aren\'t available on this device');
+        }
+
+        UI.showReplays(level, Levels.configs.length, runs);
+    },
+
+    /**
+     * Watch a recorded run
+     */
+    async playReplay(id) {
+        const run = await ReplayStore.get(id).catch(() => null);
+        if (!run) {
+            UI.showToast('Couldn\'t load that replay');
+            return;
+        }
+
+        this.levelBeforeReplay = Levels.currentLevel;
+        Replay.startPlayback(run);
+        UI.showReplayControls(true, run.ticks);
+        UI.updateReplaySpeed(Replay.speed);
+        this.startLevel(run.level);
+    },
+
+    /**
+     * Feed one recorded input event back into the game
+     */
+    applyReplayEvent(event) {
+        switch (event.type) {
+            case 'shake':
+                ShakeDetection.triggerShake();
+                break;
+            case 'tap':
+                this.deliverAt(event.x, event.y);
+                break;
+            case 'radar':
+                TouchControls.handleDoubleTap();
+                break;
+            case 'view':
+                this.setViewSize(event.width, event.height);
+                break;
+        }
+    },
+
+    /**
+     * Get the replay's play/pause status for the controls
+     */
+    getReplayStatus() {
+        if (this.state !== 'playing' || Replay.isFinished()) return 'finished';
+        return Replay.paused ? 'paused' : 'playing';
+    },
+
+    /**
+     * Pause or resume the replay (restarts it once it has finished)
+     */
+    toggleReplay() {
+        if (!Replay.isPlaying()) return;
+
+        if (this.getReplayStatus() === 'finished') {
+            Replay.paused = false;
+            this.seekReplay(0);
+        } else {
+            Replay.paused = !Replay.paused;
+            this.lastTime = performance.now();
+        }
+
+        UI.updateReplayProgress(Replay.tick, this.getReplayStatus());
+    },
+
+    /**
+     * Change replay speed
+     */
+    setReplaySpeed(speed) {
+        Replay.setSpeed(speed);
+        UI.updateReplaySpeed(Replay.speed);
+    },
+
+    /**
+     * Jump to a step of the replay
+     * Steps can only run forward, so going back starts the level over
+     * and runs the recorded input up to that step without drawing
+     */
+    seekReplay(tick) {
+        if (!Replay.isPlaying()) return;
+
+        const target = Math.max(0, Math.min(Replay.run.ticks, tick));
+
+        if (target < Replay.tick || this.state !== 'playing') {
+            Replay.rewind();
+            this.startLevel(Replay.run.level);
+        }
+
+        // Skipping ahead would fire every sound on the way at once
+        AudioEngine.suppressed = true;
+        while (Replay.tick < target && this.state === 'playing') {
+            this.update(this.frameInterval);
+        }
+        AudioEngine.suppressed = false;
+        this.accumulator = 0;
+
+        UI.updateReplayProgress(Replay.tick, this.getReplayStatus());
+    },
+
+    /**
+     * The replay reached the end of the run
+     */
+    handleReplayEnd() {
+        UI.updateReplayProgress(Replay.run.ticks, 'finished');
+        UI.showToast('🎬 Replay finished');
+    },
+
+    /**
+     * Stop watching and go back to the replay list
+     */
+    exitReplay() {
+        if (!Replay.isPlaying()) return;
+
+        const level = Replay.run.level;
+
+        this.state = 'menu';
+        this.isRunning = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        Replay.stop();
+        if (window.Haptics) Haptics.suppressed = false;
+        UI.showReplayControls(false);
+        GameEvents.emit('level:quit', { level });
+        Levels.setLevel(this.levelBeforeReplay);
+
+        this.showReplays(level);
+    },
+
+    /**
+     * Retry the current level, racing the best run's ghost if there is one
+     */
+    retryLevel() {
+        const levelNumber = Levels.currentLevel;
+        this.startLevel(levelNumber, undefined, Ghost.load(levelNumber));
+    },
+
     /**
      * Start a specific level
+     * @param {number} levelNumber - Level to play
+     * @param {number} seed - Layout seed (a fresh one if not given)
+     * @param {Object} ghost - Best run to race, flown on its own layout
      */
-    startLevel(levelNumber) {
-        console.log('Starting level:', levelNumber);
+    startLevel(levelNumber, seed = SeededRandom.randomSeed(), ghost = null) {
+        let layout = null;
+
+        if (Replay.isPlaying()) {
+            // A replay rebuilds the level it was recorded on
+            seed = Replay.run.seed;
+            layout = Replay.run.layoutCode ? Challenge.decodeLayout(Replay.run.layoutCode) : null;
+        } else {
+            // A challenge replays the sender's layout until the player moves on to another level
+            if (this.challenge && this.challenge.level !== levelNumber) {
+                this.challenge = null;
+            }
+            layout = this.challenge ? this.challenge.layout : null;
+
+            // Racing a ghost means flying the layout of its best run
+            if (!layout && ghost) {
+                layout = Challenge.decodeLayout(ghost.layoutCode);
+            }
+        }
+
+        if (layout) {
+            seed = layout.seed;
+        }
+        const racing = Boolean(ghost && layout && !this.challenge && !Replay.isPlaying());
+
+        console.log('Starting level:', levelNumber, 'seed:', SeededRandom.formatSeed(seed));
         try {
             Levels.setLevel(levelNumber);
+            this.seed = seed;
+            this.random = new SeededRandom(seed);
             this.currentLevel = Levels.getCurrentConfig();
             console.log('Level config:', this.currentLevel);
 
@@ -301,15 +592,20 @@ const Game = {
             this.radarUsed = false;
             this.timeWarningPlayed = false;
 
+            // Drop timed effects left over from the last run
+            GameClock.reset();
+
             // Initialize or reset game objects
             this.initGameObjects();
-
-            // Set fog density
-            this.fogSystem.setDensity(this.currentLevel.fog);
-
-            // Spawn chimneys and power-ups
-            this.chimneySystem.spawnChimneys(this.currentLevel.chimneys);
-            this.powerUpSystem.spawnPowerups(this.currentLevel.powerups);
+            this.seedSystems();
+
+            // Lay out the level (exactly as the sender had it, for a challenge)
+            GameSimulation.buildLevel(this, this.currentLevel, levelNumber, layout);
+            this.layoutCode = Challenge.encodeLayout(
+                this.seed,
+                this.chimneySystem.chimneys,
+                this.powerUpSystem.powerups
+            );
 
             // Update UI
             UI.updateScore(this.score);
@@ -317,6 +613,17 @@ const Game = {
             UI.updateChimneys(0, this.currentLevel.chimneys);
             UI.updateLevel(levelNumber);
             UI.updateBoostCharges(3);
+            UI.updateMisses(0, this.currentLevel.maxMisses);
+            UI.showAltimeter(this.terrainSystem.enabled);
+            UI.showTarget(this.challenge && !Replay.isPlaying() ? this.challenge.target : null);
+
+            // Record Rudolf's path (a new best becomes the ghost)
+            Ghost.start(racing ? ghost : null);
+            this.ghostSplit = 0;
+            UI.showGhostSplit(racing);
+            if (racing) {
+                UI.showToast(`👻 Racing your best: ${ghost.score.toLocaleString()}`);
+            }
 
             // Start game
             console.log('Showing game screen...');
@@ -325,15 +632,35 @@ const Game = {
             this.isRunning = true;
             console.log('Game state:', this.state, 'isRunning:', this.isRunning);
 
-            // Enable controls
-            TiltControls.enable();
-            ShakeDetection.enable();
+            // Enable controls (a replay feeds back the recorded input instead)
             ShakeDetection.reset();
             TouchControls.init('game-canvas');
-            TouchControls.enable();
+            TouchControls.reset();
+            MouseSteering.reset();
+
+            // A replay's boosts, hits and deliveries aren't the player's to feel
+            if (window.Haptics) Haptics.suppressed = Replay.isPlaying();
+
+            if (Replay.isPlaying()) {
+                TiltControls.disable();
+                ShakeDetection.disable();
+                TouchControls.disable();
+            } else {
+                TiltControls.enable();
+                ShakeDetection.enable();
+                TouchControls.enable();
+
+                Replay.startRecording({
+                    level: levelNumber,
+                    seed: this.seed,
+                    layoutCode: layout ? this.layoutCode : null,
+                    stepInterval: this.frameInterval,
+                    viewWidth: this.width,
+                    viewHeight: this.height
+                });
+            }
 
-            // Set up control callbacks
-            this.setupControlCallbacks();
+            GameEvents.emit('level:started', { level: levelNumber });
 
             // Cancel any existing animation frame
             if (this.animationFrameId) {
@@ -342,7 +669,7 @@ const Game = {
 
             // Start game loop
             this.lastTime = performance.now();
-            this.lastFrameTime = this.lastTime;
+            this.accumulator = 0;
             this.animationFrameId = requestAnimationFrame((time) => this.gameLoop(time));
 
         } catch (error) {
@@ -358,15 +685,15 @@ const Game = {
      * Initialize game objects
      */
     initGameObjects() {
-        const startX = this.width / 2;
-        const startY = this.height / 2;
+        const startX = this.worldWidth / 2;
+        const startY = this.worldHeight / 2;
 
         if (this.rudolf) {
             this.rudolf.reset(startX, startY);
         } else {
             this.rudolf = new Rudolf(startX, startY);
         }
-        this.rudolf.setBounds(this.width, this.height);
+        this.rudolf.setBounds(this.worldWidth, this.worldHeight);
 
         if (this.sleigh) {
             this.sleigh.reset();
@@ -374,110 +701,212 @@ const Game = {
             this.sleigh = new Sleigh(this.rudolf);
         }
 
+        // A replay runs at the view size it was recorded at, so it plays out the same on any screen
+        const view = Replay.isPlaying()
+            ? { width: Replay.run.viewWidth, height: Replay.run.viewHeight }
+            : { width: this.width, height: this.height };
+
+        if (this.camera) {
+            this.camera.resize(view.width, view.height);
+        } else {
+            this.camera = new Camera(view.width, view.height);
+        }
+        this.camera.setWorldSize(this.worldWidth, this.worldHeight);
+        this.camera.snapTo(this.rudolf);
+
+        // Fog covers the screen; its holes are in world coordinates
         if (this.fogSystem) {
             this.fogSystem.reset();
             this.fogSystem.resize(this.width, this.height);
         } else {
             this.fogSystem = new FogSystem(this.width, this.height);
         }
+        this.fogSystem.setWorldSize(this.worldWidth, this.worldHeight);
 
         if (this.chimneySystem) {
             this.chimneySystem.reset();
-            this.chimneySystem.width = this.width;
-            this.chimneySystem.height = this.height;
+            this.chimneySystem.width = this.worldWidth;
+            this.chimneySystem.height = this.worldHeight;
         } else {
-            this.chimneySystem = new ChimneySystem(this.width, this.height);
+            this.chimneySystem = new ChimneySystem(this.worldWidth, this.worldHeight);
         }
-        this.setupChimneyCallbacks();
 
         if (this.powerUpSystem) {
             this.powerUpSystem.reset();
-            this.powerUpSystem.width = this.width;
-            this.powerUpSystem.height = this.height;
+            this.powerUpSystem.width = this.worldWidth;
+            this.powerUpSystem.height = this.worldHeight;
+        } else {
+            this.powerUpSystem = new PowerUpSystem(this.worldWidth, this.worldHeight);
+        }
+
+        if (this.hazardSystem) {
+            this.hazardSystem.reset();
+            this.hazardSystem.width = this.worldWidth;
+            this.hazardSystem.height = this.worldHeight;
+        } else {
+            this.hazardSystem = new HazardSystem(this.worldWidth, this.worldHeight);
+        }
+
+        // Wind streaks are drawn in screen space
+        if (this.windSystem) {
+            this.windSystem.reset();
+            this.windSystem.width = view.width;
+            this.windSystem.height = view.height;
+        } else {
+            this.windSystem = new WindSystem(view.width, view.height);
+        }
+
+        if (this.buildingSystem) {
+            this.buildingSystem.reset();
+            this.buildingSystem.width = this.worldWidth;
+            this.buildingSystem.height = this.worldHeight;
         } else {
-            this.powerUpSystem = new PowerUpSystem(this.width, this.height);
+            this.buildingSystem = new BuildingSystem(this.worldWidth, this.worldHeight);
         }
-        this.setupPowerUpCallbacks();
+
+        if (this.terrainSystem) {
+            this.terrainSystem.reset();
+            this.terrainSystem.width = this.worldWidth;
+            this.terrainSystem.height = this.worldHeight;
+        } else {
+            this.terrainSystem = new TerrainSystem(this.worldWidth, this.worldHeight);
+        }
+
+        GameSimulation.linkSystems(this);
+
+        // Haptics adapters (the headless harness passes its own)
+        const haptics = window.Haptics || null;
+        this.chimneySystem.haptics = haptics;
+        this.powerUpSystem.haptics = haptics;
+        this.hazardSystem.haptics = haptics;
+        this.windSystem.haptics = haptics;
+    },
+
+    /**
+     * Give each system its own random stream from the level seed
+     */
+    seedSystems() {
+        GameSimulation.seedSystems(this, this.random);
+        this.initBackground();
     },
 
     /**
-     * Set up control callbacks
+     * Subscribe the game's own reactions to game events (once, at init)
+     * Systems are reused between levels, so these listeners stay for the whole session
      */
-    setupControlCallbacks() {
-        ShakeDetection.onShake = () => {
+    setupEventListeners() {
+        // Controls
+        GameEvents.on('shake:detected', () => {
             if (this.state === 'playing') {
+                Replay.recordEvent('shake');
                 this.activateBoost();
             }
-        };
+        });
 
-        ShakeDetection.onOverheat = () => {
+        GameEvents.on('shake:overheated', () => {
             this.rudolf.setOverheated(true);
             UI.showToast('Nose overheated! Wait to recover...');
-        };
+        });
 
-        ShakeDetection.onCooldownEnd = () => {
+        GameEvents.on('shake:cooledDown', () => {
             this.rudolf.setOverheated(false);
-        };
-
-        ShakeDetection.onChargeChange = (charges) => {
-            UI.updateBoostCharges(charges);
-        };
+        });
 
-        TouchControls.onTap = (x, y) => {
+        GameEvents.on('touch:tap', ({ x, y }) => {
             this.handleTap(x, y);
-        };
+        });
 
-        TouchControls.onDoubleTap = () => {
+        GameEvents.on('touch:doubleTap', () => {
+            Replay.recordEvent('radar');
             this.activateRadar();
-        };
+        });
 
-        TouchControls.onTwoFingerTap = () => {
+        GameEvents.on('touch:twoFingerTap', () => {
             this.pause();
-        };
-    },
+        });
 
-    /**
-     * Set up chimney callbacks
-     */
-    setupChimneyCallbacks() {
-        this.chimneySystem.onDelivery = (data) => {
+        GameEvents.on('gamepad:startPressed', () => {
+            if (Replay.isPlaying()) return;
+
+            if (this.state === 'playing') {
+                this.pause();
+            } else if (this.state === 'paused') {
+                this.resume();
+                UI.hidePause();
+            }
+        });
+
+        // Esc gives a locked pointer back, so take a breather too
+        GameEvents.on('mouse:unlocked', () => {
+            if (!Replay.isPlaying()) {
+                this.pause();
+            }
+        });
+
+        GameEvents.on('gamepad:connected', () => {
+            UI.showToast('🎮 Controller connected');
+
+            // Rumble strength and previews apply to the controller too
+            const hapticsSettings = document.getElementById('haptics-settings');
+            if (hapticsSettings) hapticsSettings.style.display = '';
+        });
+
+        GameEvents.on('gamepad:disconnected', () => {
+            UI.showToast('🎮 Controller disconnected');
+        });
+
+        // Chimneys
+        GameEvents.on('chimney:delivered', (data) => {
             const points = data.isPerfect ? 150 : 100;
             this.addScore(points);
             UI.updateChimneys(data.delivered, data.total);
 
+            Ghost.recordDelivery();
+            this.updateGhostSplit();
+
             const rect = this.canvas.getBoundingClientRect();
-            const dpr = window.devicePixelRatio || 1;
+            const screen = this.camera.worldToScreen(data.chimney.x, data.chimney.y);
             UI.showScorePopup(
-                rect.left + (data.chimney.x / dpr),
-                rect.top + (data.chimney.y / dpr),
+                rect.left + screen.x,
+                rect.top + screen.y,
                 points,
                 data.isPerfect
             );
-        };
+        });
+
+        GameEvents.on('chimney:missed', (data) => {
+            if (this.state !== 'playing') return;
+
+            const maxMisses = this.currentLevel.maxMisses;
+            UI.updateMisses(data.missed, maxMisses);
+
+            if (data.missed >= maxMisses) {
+                this.handleTooManyMisses();
+            } else {
+                UI.showToast('💨 Flew past—it\'s gone!');
+            }
+        });
 
-        this.chimneySystem.onAllDelivered = () => {
+        GameEvents.on('chimney:allResolved', () => {
+            if (this.state !== 'playing') return;
             this.handleLevelComplete();
-        };
-    },
+        });
 
-    /**
-     * Set up power-up callbacks
-     */
-    setupPowerUpCallbacks() {
-        this.powerUpSystem.onCollect = (data) => {
+        // Power-ups
+        GameEvents.on('powerup:collected', (data) => {
             this.addScore(data.typeData.points);
 
+            GameSimulation.applyPowerUp(this, data.typeData);
+
             switch (data.typeData.effect) {
                 case 'boost_charge':
                     ShakeDetection.addCharge();
                     UI.showToast('🥕 +1 Boost Charge!');
                     break;
                 case 'time':
-                    this.timer += data.typeData.value;
                     UI.showToast(`⏰ +${data.typeData.value} seconds!`);
                     break;
                 case 'reveal':
-                    this.fogSystem.revealAll(data.typeData.duration);
                     UI.showToast('🔔 All chimneys revealed!');
                     break;
                 case 'visibility':
@@ -490,19 +919,66 @@ const Game = {
                     UI.showToast('🧲 Chimneys glow brighter!');
                     break;
             }
-        };
+        });
+
+        // Hazards, buildings and mountains
+        GameEvents.on('hazard:hit', (data) => {
+            this.handleHazardHit(data);
+        });
+
+        GameEvents.on('sleigh:balloonsReleased', ({ balloons }) => {
+            GameSimulation.releaseBalloons(this, balloons);
+            UI.showToast('🎈 Shook the balloons loose!');
+        });
+    },
+
+    /**
+     * Apply a hazard hit to Rudolf or the sleigh, and let the player know
+     */
+    handleHazardHit(data) {
+        const effect = GameSimulation.applyHazardHit(this, data);
+
+        if (effect === 'ice') {
+            this.handleIceHit();
+        } else if (effect === 'tangle') {
+            this.handleBalloonTangle();
+        } else if (effect === 'hit') {
+            const penalty = data.typeData.penalty || 0;
+            if (penalty > 0) {
+                UI.updateTimer(this.timer);
+                UI.showToast(`${data.typeData.emoji} -${penalty} seconds!`);
+            }
+
+            if (window.Haptics) Haptics.collision();
+        }
+    },
+
+    /**
+     * A balloon caught on the sleigh rope slows everything down
+     */
+    handleBalloonTangle() {
+        UI.showToast('🎈 Tangled! Boost or pull away to shake it loose');
+
+        if (window.Haptics) Haptics.tangle();
+    },
+
+    /**
+     * Flying into an ice cloud dims Rudolf's nose
+     */
+    handleIceHit() {
+        UI.showFrostOverlay(this.rudolf.iceDuration);
+        UI.showToast('🥶 Brrr! Nose frozen!');
+
+        if (window.Haptics) Haptics.cold();
     },
 
     /**
      * Activate nose boost
      */
     activateBoost() {
-        if (this.rudolf.activateBoost()) {
+        // A boost also burns through the fog and shakes off any tangled balloons
+        if (GameSimulation.boost(this)) {
             this.boostsUsed++;
-            UI.showBoostEffect();
-
-            const nosePos = this.rudolf.getNosePosition();
-            this.fogSystem.addBoostBurst(nosePos.x, nosePos.y, this.rudolf.noseBoostRadius);
         }
     },
 
@@ -512,6 +988,7 @@ const Game = {
     activateRadar() {
         if (!TouchControls.canUseRadar()) return;
 
+        TouchControls.startRadarCooldown();
         this.radarUsed = true;
 
         const nearest = this.chimneySystem.getNearestDirection(this.rudolf.x, this.rudolf.y);
@@ -525,14 +1002,102 @@ const Game = {
 
     /**
      * Handle tap on game canvas
+     * Taps arrive in client coordinates; chimneys are in world coordinates
      */
     handleTap(screenX, screenY) {
         const rect = this.canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
-        const x = (screenX - rect.left) * dpr;
-        const y = (screenY - rect.top) * dpr;
+        const { x, y } = this.camera.screenToWorld(screenX - rect.left, screenY - rect.top);
 
-        this.chimneySystem.checkTap(x, y);
+        Replay.recordEvent('tap', { x, y });
+        this.deliverAt(x, y);
+    },
+
+    /**
+     * Try to deliver a present to a chimney at a world position
+     */
+    deliverAt(x, y) {
+        const altitude = this.terrainSystem.getAltitude(this.rudolf.x, this.rudolf.y);
+        const result = this.chimneySystem.checkTap(x, y, altitude);
+
+        if (result && result.rejected) {
+            UI.showToast(result.reason === 'too_high'
+                ? '⛰️ Too high to deliver! Fly lower'
+                : '⛰️ Too low to deliver!');
+            if (window.Haptics) Haptics.miss();
+        }
+    },
+
+    /**
+     * Show deliveries ahead of or behind the ghost when the split changes
+     */
+    updateGhostSplit() {
+        if (!Ghost.active) return;
+
+        const split = Ghost.getSplit(this.chimneySystem.deliveredCount);
+        if (split !== this.ghostSplit) {
+            this.ghostSplit = split;
+            UI.updateGhostSplit(split);
+        }
+    },
+
+    /**
+     * Draw the best run's ghost, see-through, along its recorded path
+     * @param {number} alpha - How far between the last two steps to draw it
+     */
+    drawGhost(ctx, alpha) {
+        const position = Ghost.getPosition(alpha);
+        if (!position) return;
+
+        if (!this.ghostRudolf) {
+            this.ghostRudolf = new Rudolf(position.x, position.y);
+        }
+        this.ghostRudolf.x = position.x;
+        this.ghostRudolf.y = position.y;
+        this.ghostRudolf.facingRight = position.facingRight;
+
+        ctx.save();
+        ctx.globalAlpha = Ghost.alpha;
+        this.ghostRudolf.draw(ctx);
+        ctx.restore();
+    },
+
+    /**
+     * Draw the mouse steering reticle, with a faint line from the centre
+     * showing which way (and how hard) Rudolf is being steered
+     */
+    drawReticle(ctx) {
+        if (!MouseSteering.enabled || this.state !== 'playing' || Replay.isPlaying()) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const { x, y } = MouseSteering.getPosition();
+        const reticleX = x - rect.left;
+        const reticleY = y - rect.top;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 2;
+
+        ctx.setLineDash([4, 6]);
+        ctx.globalAlpha = 0.35;
+        ctx.beginPath();
+        ctx.moveTo(this.width / 2, this.height / 2);
+        ctx.lineTo(reticleX, reticleY);
+        ctx.stroke();
+
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(reticleX, reticleY, 12, 0, Math.PI * 2);
+        ctx.moveTo(reticleX - 18, reticleY);
+        ctx.lineTo(reticleX - 6, reticleY);
+        ctx.moveTo(reticleX + 6, reticleY);
+        ctx.lineTo(reticleX + 18, reticleY);
+        ctx.moveTo(reticleX, reticleY - 18);
+        ctx.lineTo(reticleX, reticleY - 6);
+        ctx.moveTo(reticleX, reticleY + 6);
+        ctx.lineTo(reticleX, reticleY + 18);
+        ctx.stroke();
+        ctx.restore();
     },
 
     /**
@@ -549,25 +1114,84 @@ const Game = {
     gameLoop(currentTime) {
         if (!this.isRunning) return;
 
+        // Turn the mouse reticle into tilt and read controllers (which have no
+        // input events) before stepping; a pushed stick wins over the mouse
+        MouseSteering.update();
+        GamepadControls.update();
+
         // Calculate delta time with cap to prevent huge jumps
         this.deltaTime = Math.min(currentTime - this.lastTime, 100);
         this.lastTime = currentTime;
 
-        if (this.state === 'playing') {
-            this.update(this.deltaTime);
+        // Run as many fixed steps as the elapsed time covers (replays can run slower or faster)
+        if (this.state === 'playing' && !Replay.paused) {
+            this.accumulator += this.deltaTime * (Replay.isPlaying() ? Replay.speed : 1);
+
+            while (this.accumulator >= this.frameInterval) {
+                this.update(this.frameInterval);
+                this.accumulator -= this.frameInterval;
+
+                if (this.state !== 'playing') {
+                    this.accumulator = 0;
+                    break;
+                }
+            }
         }
 
-        this.render();
+        // Draw between the last two steps by the leftover fraction of a step
+        this.render(this.accumulator / this.frameInterval);
+        this.updateSoundBeds();
+        this.updateProximityHaptics();
+
+        if (Replay.isPlaying()) {
+            UI.updateReplayProgress(Replay.tick, this.getReplayStatus());
+        }
 
         this.animationFrameId = requestAnimationFrame((time) => this.gameLoop(time));
     },
 
+    /**
+     * Let the wind bed follow the gusts and the sleigh bells follow Rudolf's speed,
+     * and point the chimney beacons at chimneys Rudolf can't see
+     */
+    updateSoundBeds() {
+        const flying = this.state === 'playing' && !Replay.paused;
+        const speed = Math.hypot(this.rudolf.velocityX, this.rudolf.velocityY) / this.rudolf.baseMaxSpeed;
+
+        AudioEngine.setBedVolume('wind', flying ? 0.2 + 0.8 * this.windSystem.intensity : 0);
+        AudioEngine.setBedVolume('jingle', flying ? 0.15 + 0.85 * Math.min(1, speed) : 0);
+
+        const unseen = flying && AudioEngine.beaconsEnabled
+            ? this.chimneySystem.getDirections(this.rudolf.x, this.rudolf.y).filter(d => !d.chimney.visible)
+            : [];
+        AudioEngine.updateBeacons(unseen);
+    },
+
+    /**
+     * Buzz "getting warmer" toward the nearest chimney still out of sight
+     * (the same chimneys the sound beacons point at), only for the player's own run
+     */
+    updateProximityHaptics() {
+        if (this.state !== 'playing' || Replay.isPlaying() || !window.Haptics) return;
+
+        const nearest = this.chimneySystem.getDirections(this.rudolf.x, this.rudolf.y)
+            .find(direction => !direction.chimney.visible);
+        Haptics.updateProximity(nearest ? nearest.distance : null);
+    },
+
     /**
      * Update game state
      */
     update(deltaTime) {
-        // Update timer
-        this.timer -= deltaTime / 1000;
+        // Feed back recorded input that arrived before this step
+        Replay.beginStep().forEach(event => this.applyReplayEvent(event));
+        if (this.state !== 'playing') return;
+
+        // Step the world, feeding it the tilt (recorded for replays, or fed back from one)
+        const failure = GameSimulation.step(this, deltaTime, () => (
+            Replay.isPlaying() ? Replay.getTilt() : Replay.recordTilt(TiltControls.getVelocity())
+        ));
+
         UI.updateTimer(this.timer);
 
         // Time warning
@@ -576,47 +1200,35 @@ const Game = {
             if (window.Haptics) Haptics.timeWarning();
         }
 
-        // Check time out
-        if (this.timer <= 0) {
+        // Check time out (the only way a step fails the run by itself)
+        if (failure === 'timeout') {
             this.handleTimeOut();
             return;
         }
 
-        // Get tilt velocity
-        const tiltVelocity = TiltControls.getVelocity();
-
-        // Apply power-up effects
-        const visibilityMultiplier = this.powerUpSystem.getVisibilityMultiplier();
-
-        // Update Rudolf
-        this.rudolf.update(deltaTime, tiltVelocity);
-
-        // Update nose visibility
-        const nosePos = this.rudolf.getNosePosition();
-        const noseRadius = this.rudolf.getVisibilityRadius() * visibilityMultiplier;
-        this.fogSystem.setNoseVisibility(nosePos.x, nosePos.y, noseRadius);
-
-        // Update sleigh
-        this.sleigh.update(deltaTime);
-
-        // Update fog
-        this.fogSystem.update(deltaTime);
-
-        // Update chimneys
-        this.chimneySystem.update(deltaTime, this.fogSystem);
+        // The step may have ended the run (all chimneys resolved, or too many misses)
+        if (this.state !== 'playing') return;
 
-        // Update power-ups
-        this.powerUpSystem.update(deltaTime);
+        // Record the path and keep pace with the ghost
+        Ghost.recordStep(this.rudolf.x, this.rudolf.y);
+        this.updateGhostSplit();
 
-        // Check power-up collisions
-        this.powerUpSystem.checkCollision(this.rudolf.x, this.rudolf.y);
+        if (this.terrainSystem.enabled) {
+            const altitude = this.terrainSystem.getAltitude(this.rudolf.x, this.rudolf.y);
+            UI.updateAltimeter(
+                this.terrainSystem.toMeters(altitude),
+                this.terrainSystem.isInDeliveryBand(altitude)
+            );
+        }
     },
 
     /**
      * Render game
+     * @param {number} alpha - How far (0-1) the screen is between the last two simulation steps
      */
-    render() {
+    render(alpha = 1) {
         const ctx = this.ctx;
+        const restorePositions = this.interpolatePositions(alpha);
 
         // Clear canvas
         ctx.fillStyle = '#1a1a2e';
@@ -625,34 +1237,78 @@ const Game = {
         // Draw background
         this.drawBackground(ctx);
 
-        // Draw game objects (behind fog)
+        // Draw game objects in world space (behind fog)
+        ctx.save();
+        this.camera.apply(ctx);
+        this.terrainSystem.draw(ctx);
+        this.buildingSystem.draw(ctx);
         this.chimneySystem.draw(ctx);
+        this.hazardSystem.draw(ctx);
         this.powerUpSystem.draw(ctx, this.fogSystem);
+        this.drawGhost(ctx, alpha);
         this.sleigh.draw(ctx);
         this.rudolf.draw(ctx);
+        ctx.restore();
 
         // Draw fog layer on top
-        this.fogSystem.render(ctx);
+        this.fogSystem.render(ctx, this.camera);
+
+        // Draw hazard hints that show through the fog
+        ctx.save();
+        this.camera.apply(ctx);
+        this.hazardSystem.drawOverlay(ctx);
+        ctx.restore();
+
+        // Draw wind streaks over the fog
+        this.windSystem.draw(ctx);
 
         // Draw power-up effect indicators
         if (this.powerUpSystem.activeEffects.size > 0) {
             this.powerUpSystem.drawEffectIndicators(ctx, 20, 150);
         }
+
+        // Draw the steering reticle on top of everything
+        this.drawReticle(ctx);
+
+        restorePositions();
+    },
+
+    /**
+     * Move Rudolf, the sleigh and the camera to their in-between positions for drawing
+     * @returns {Function} Puts the simulated positions back
+     */
+    interpolatePositions(alpha) {
+        const movers = [this.rudolf, this.sleigh, this.camera];
+        const saved = movers.map(mover => ({ x: mover.x, y: mover.y }));
+
+        movers.forEach(mover => {
+            mover.x = mover.prevX + (mover.x - mover.prevX) * alpha;
+            mover.y = mover.prevY + (mover.y - mover.prevY) * alpha;
+        });
+
+        return () => {
+            movers.forEach((mover, i) => {
+                mover.x = saved[i].x;
+                mover.y = saved[i].y;
+            });
+        };
     },
 
     /**
      * Initialize background stars
      */
     initBackground() {
+        // Same stars for the same seed, even after a resize
+        const rng = this.random ? this.random.fork('background') : Math;
         this.backgroundStars = [];
         const starCount = Math.min(100, Math.floor((this.width * this.height) / 10000));
 
         for (let i = 0; i < starCount; i++) {
             this.backgroundStars.push({
-                x: Math.random(),
-                y: Math.random(),
-                size: Math.random() * 2 + 1,
-                twinkle: Math.random() * Math.PI * 2
+                x: rng.random(),
+                y: rng.random(),
+                size: rng.random() * 2 + 1,
+                twinkle: rng.random() * Math.PI * 2
             });
         }
     },
@@ -663,14 +1319,22 @@ const Game = {
     drawBackground(ctx) {
         const time = Date.now() * 0.001;
 
+        // Stars drift slowly as the camera moves, for a sense of distance
+        const parallax = 0.1;
+        const offsetX = this.camera ? this.camera.x * parallax : 0;
+        const offsetY = this.camera ? this.camera.y * parallax : 0;
+
         // Draw stars
         this.backgroundStars.forEach(star => {
             const brightness = 0.5 + Math.sin(star.twinkle + time) * 0.3;
+            const x = (star.x * this.width - offsetX) % this.width;
+            const y = (star.y * this.height - offsetY) % this.height;
+
             ctx.fillStyle = `rgba(255, 255, 255, ${brightness})`;
             ctx.beginPath();
             ctx.arc(
-                star.x * this.width,
-                star.y * this.height,
+                x < 0 ? x + this.width : x,
+                y < 0 ? y + this.height : y,
                 star.size,
                 0,
                 Math.PI * 2
@@ -702,9 +1366,17 @@ const Game = {
         TiltControls.disable();
         ShakeDetection.disable();
         TouchControls.disable();
+        MouseSteering.unlock();
+
+        GameEvents.emit('level:ended', { level: Levels.currentLevel, completed: true });
+
+        if (Replay.isPlaying()) {
+            this.handleReplayEnd();
+            return;
+        }
 
         const timeLeft = Math.ceil(this.timer);
-        const allDelivered = true;
+        const allDelivered = this.chimneySystem.missedCount === 0;
         const noBoosts = this.boostsUsed === 0;
         const sleighUntouched = this.sleigh.wasUntouched();
         const noRadar = !this.radarUsed;
@@ -712,17 +1384,30 @@ const Game = {
         const bonus = Levels.calculateBonus(timeLeft, allDelivered, noBoosts, sleighUntouched, noRadar);
         this.score += bonus.total;
 
+        // A new best becomes the ghost to race on retry
+        if (Levels.isHighScore(Levels.currentLevel, this.score)) {
+            Ghost.save(Levels.currentLevel, this.layoutCode, this.score);
+        }
+
         const stars = Levels.recordScore(
             Levels.currentLevel,
             this.score,
             timeLeft,
-            allDelivered,
+            true,
             noBoosts,
             sleighUntouched,
-            noRadar
+            noRadar,
+            allDelivered
         );
+        this.saveRecording(true);
 
-        UI.showSuccess(this.score, timeLeft, stars);
+        // Racing the best run (maybe the one just flown) is open from here too, outside challenges
+        const canRaceGhost = !this.challenge && Ghost.load(Levels.currentLevel) !== null;
+        UI.showSuccess(this.score, timeLeft, stars, SeededRandom.formatSeed(this.seed), canRaceGhost);
+
+        if (this.challenge && this.challenge.target) {
+            UI.showToast(this.score > this.challenge.target ? '🎯 Challenge beaten!' : '🎯 Short of the challenge target this time');
+        }
 
         if (window.Haptics) Haptics.success();
     },
@@ -731,17 +1416,43 @@ const Game = {
      * Handle time out
      */
     handleTimeOut() {
+        this.handleFailure('timeout');
+    },
+
+    /**
+     * Handle missing more chimneys than the level allows
+     */
+    handleTooManyMisses() {
+        this.handleFailure('misses');
+    },
+
+    /**
+     * End the run as a failure
+     * @param {string} reason - 'timeout' or 'misses'
+     */
+    handleFailure(reason) {
         this.state = 'gameover';
         this.isRunning = false;
 
         TiltControls.disable();
         ShakeDetection.disable();
         TouchControls.disable();
+        MouseSteering.unlock();
+
+        GameEvents.emit('level:ended', { level: Levels.currentLevel, completed: false, reason });
+
+        if (Replay.isPlaying()) {
+            this.handleReplayEnd();
+            return;
+        }
+        this.saveRecording(false);
 
         UI.showFailure(
             this.chimneySystem.deliveredCount,
             this.currentLevel.chimneys,
-            this.score
+            this.score,
+            reason,
+            SeededRandom.formatSeed(this.seed)
         );
 
         if (window.Haptics) Haptics.gameOver();
@@ -759,6 +1470,7 @@ const Game = {
         TiltControls.disable();
         ShakeDetection.disable();
         TouchControls.disable();
+        MouseSteering.unlock();
     },
 
     /**
@@ -773,6 +1485,9 @@ const Game = {
         TiltControls.enable();
         ShakeDetection.enable();
         TouchControls.enable();
+
+        // Works when resumed by a click; otherwise the next click in the game locks it
+        MouseSteering.lock();
     },
 
     /**
@@ -782,6 +1497,11 @@ const Game = {
         this.state = 'menu';
         this.isRunning = false;
 
+        // An abandoned run isn't kept as a replay
+        Replay.stop();
+        if (window.Haptics) Haptics.suppressed = false;
+        GameEvents.emit('level:quit', { level: Levels.currentLevel });
+
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
@@ -790,6 +1510,7 @@ const Game = {
         TiltControls.disable();
         ShakeDetection.disable();
         TouchControls.disable();
+        MouseSteering.unlock();
 
         UI.showScreen('start');
     },
@@ -832,20 +1553,28 @@ const Game = {
         this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.scale(dpr, dpr);
 
-        // Update game objects
-        if (this.rudolf) {
-            this.rudolf.setBounds(this.width, this.height);
-        }
+        // Update screen-space objects (the world keeps its size)
         if (this.fogSystem) {
             this.fogSystem.resize(this.width, this.height);
         }
-        if (this.chimneySystem) {
-            this.chimneySystem.width = this.width;
-            this.chimneySystem.height = this.height;
+
+        // A replay keeps the view it was recorded at; a recorded run notes the change
+        if (!Replay.isPlaying()) {
+            this.setViewSize(this.width, this.height);
+            Replay.recordEvent('view', { width: this.width, height: this.height });
         }
-        if (this.powerUpSystem) {
-            this.powerUpSystem.width = this.width;
-            this.powerUpSystem.height = this.height;
+    },
+
+    /**
+     * Resize the view the simulation sees (camera and wind streaks)
+     */
+    setViewSize(width, height) {
+        if (this.camera) {
+            this.camera.resize(width, height);
+        }
+        if (this.windSystem) {
+            this.windSystem.width = width;
+            this.windSystem.height = height;
         }
     }
 };
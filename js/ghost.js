@@ -0,0 +1,134 @@
+/**
+ * Ghost - Rudolf's path on a level's best run, raced on retry or from the success screen
+ * Each step's position is recorded; a new best score stores the path with
+ * the layout it was flown on, so the ghost can fly it again over the same level
+ */
+const Ghost = {
+    storageKey: 'rudolf_game_ghosts',
+
+    // How see-through the ghost is drawn
+    alpha: 0.35,
+
+    // Current run: flat x/y per step and the step of each delivery
+    path: [],
+    deliveries: [],
+    step: 0,
+
+    // Best run being raced ({ layoutCode, score, path, deliveries }), or null
+    active: null,
+    facingRight: true,
+
+    /**
+     * Start recording a run, optionally racing a stored best run
+     */
+    start(ghost = null) {
+        this.path = [];
+        this.deliveries = [];
+        this.step = 0;
+        this.active = ghost;
+        this.facingRight = true;
+    },
+
+    /**
+     * Record Rudolf's position after a simulation step
+     */
+    recordStep(x, y) {
+        this.path.push(Math.round(x), Math.round(y));
+        this.step++;
+
+        // Keep the ghost's facing while it hovers in place
+        if (this.active) {
+            const index = (this.step - 1) * 2;
+            const dx = this.active.path[index] - this.active.path[index - 2];
+            if (dx) {
+                this.facingRight = dx > 0;
+            }
+        }
+    },
+
+    /**
+     * Record a delivery at the current step
+     */
+    recordDelivery() {
+        this.deliveries.push(this.step);
+    },
+
+    /**
+     * Get the ghost's position, between the last two steps by alpha
+     * @returns {Object|null} { x, y, facingRight }, or null once its run has ended
+     */
+    getPosition(alpha = 1) {
+        if (!this.active) return null;
+
+        const path = this.active.path;
+        const index = this.step - 1;
+        if (index < 0 || index * 2 >= path.length) return null;
+
+        const previous = Math.max(0, index - 1);
+        const x = path[previous * 2];
+        const y = path[previous * 2 + 1];
+
+        return {
+            x: x + (path[index * 2] - x) * alpha,
+            y: y + (path[index * 2 + 1] - y) * alpha,
+            facingRight: this.facingRight
+        };
+    },
+
+    /**
+     * Get how many presents the ghost had delivered by the current step
+     */
+    getDeliveredCount() {
+        if (!this.active) return 0;
+        return this.active.deliveries.filter(step => step <= this.step).length;
+    },
+
+    /**
+     * Get deliveries ahead (+) or behind (-) the ghost
+     */
+    getSplit(delivered) {
+        return delivered - this.getDeliveredCount();
+    },
+
+    /**
+     * Store the run just finished as the level's best
+     * @param {string} layoutCode - Chimney/power-up layout (see Challenge.encodeLayout)
+     */
+    save(levelNumber, layoutCode, score) {
+        const ghosts = this.loadAll();
+        ghosts[levelNumber] = {
+            layoutCode,
+            score,
+            path: this.path,
+            deliveries: this.deliveries
+        };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(ghosts));
+        } catch (e) {
+            console.warn('Could not save ghost:', e);
+        }
+    },
+
+    /**
+     * Get the stored best run for a level (null if there is none)
+     */
+    load(levelNumber) {
+        return this.loadAll()[levelNumber] || null;
+    },
+
+    /**
+     * Get all stored best runs by level
+     */
+    loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            console.warn('Could not load ghosts:', e);
+            return {};
+        }
+    }
+};
+
+// Export for use in other modules
+window.Ghost = Ghost;
@@ -0,0 +1,826 @@
+/**
+ * Hazard System - Manages obstacles declared in each level's hazards list
+ * Hazards hide in the fog and cost time when Rudolf or the sleigh hits them
+ */
+class HazardSystem {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        // Random source (Math, or a seeded stream set per level by Game)
+        this.rng = Math;
+
+        // Haptics adapter (airplaneWarning), null to run without feedback
+        this.haptics = window.Haptics || null;
+
+        this.hazards = [];
+        this.activeTypes = [];
+
+        // Hazard types and their effects
+        this.types = {
+            trees: {
+                emoji: '🌲',
+                effect: 'penalty',
+                penalty: 5,
+                count: 4,
+                hitsRudolf: true,
+                hitsSleigh: true,
+                description: 'Lose 5 seconds if hit'
+            },
+            ice: {
+                emoji: '🥶',
+                effect: 'ice',
+                count: 3,
+                hitsRudolf: true,
+                hitsSleigh: false,
+                description: 'Dims nose for 3 seconds'
+            },
+            airplanes: {
+                emoji: '✈️',
+                effect: 'penalty',
+                penalty: 10,
+                hitsRudolf: true,
+                hitsSleigh: true,
+                description: 'Dodge it! -10 sec'
+            },
+            balloons: {
+                emoji: '🎈',
+                effect: 'tangle',
+                count: 4,
+                hitsRudolf: false,
+                hitsSleigh: true,
+                description: 'Tangles sleigh, slows you'
+            }
+        };
+
+        // Tree settings
+        this.treeWidth = 70;
+        this.treeMinHeight = 0.1;           // Fraction of world height
+        this.treeMaxHeight = 0.2;
+        this.minTreeSpacing = 120;
+        this.treeTopLimit = 0.4;            // Tree tops stay below this fraction of world height
+        this.spawnMargin = 60;
+
+        // Ice cloud settings
+        this.iceCloudMinRadius = 55;
+        this.iceCloudMaxRadius = 85;
+        this.iceCloudSafeDistance = 200;    // Keep clear of Rudolf's start
+
+        // Airplane settings
+        this.airplaneWidth = 110;
+        this.airplaneHeight = 36;
+        this.airplaneSpeed = 7;
+        this.airplaneWarningDuration = 2000;
+        this.airplaneIntervalMin = 6000;
+        this.airplaneIntervalMax = 10000;
+        this.airplaneIntervalScale = 1;
+        this.airplaneTimer = 0;
+
+        // Balloon settings
+        this.balloonRadius = 18;
+        this.balloonColors = ['#e74c3c', '#f1c40f', '#3498db', '#9b59b6', '#2ecc71'];
+
+        // Optional x => y for uneven ground (e.g. mountain terrain)
+        this.groundAt = null;
+
+        // Visible part of the world ({ x, y, width, height }), set each update
+        this.view = null;
+    }
+
+    /**
+     * Spawn hazards for a level
+     * @param {string[]} hazardTypes - Hazard names from the level config
+     * @param {number} levelNumber - Used to scale hazard counts
+     * @param {Object[]} avoid - Objects with x/y (e.g. chimneys) to keep clear
+     */
+    spawnHazards(hazardTypes, levelNumber, avoid = []) {
+        this.hazards = [];
+        this.activeTypes = hazardTypes.filter(type => this.types[type]);
+
+        if (this.activeTypes.includes('trees')) {
+            const count = this.types.trees.count + Math.max(0, levelNumber - 3);
+            this.spawnTrees(count, avoid);
+        }
+
+        if (this.activeTypes.includes('ice')) {
+            const count = this.types.ice.count + Math.max(0, levelNumber - 5);
+            this.spawnIceClouds(count);
+        }
+
+        if (this.activeTypes.includes('airplanes')) {
+            // Planes come more often on later levels
+            const scale = Math.max(0.5, 1 - Math.max(0, levelNumber - 5) * 0.15);
+            this.airplaneIntervalScale = scale;
+            this.scheduleAirplane();
+        }
+
+        if (this.activeTypes.includes('balloons')) {
+            const count = this.types.balloons.count + Math.max(0, levelNumber - 6);
+            this.spawnBalloons(count);
+        }
+
+        return this.hazards.length;
+    }
+
+    /**
+     * Spawn trees growing up from the ground
+     */
+    spawnTrees(count, avoid) {
+        const attempts = count * 20;
+        let placed = 0;
+
+        for (let i = 0; i < attempts && placed < count; i++) {
+            const x = this.spawnMargin + this.rng.random() * (this.width - this.spawnMargin * 2);
+            const heightFraction = this.treeMinHeight +
+                this.rng.random() * (this.treeMaxHeight - this.treeMinHeight);
+
+            if (!this.isValidTreePosition(x)) continue;
+
+            // Trees that would cover a chimney house are cut down to fit below it,
+            // and trees on high ground are kept out of the sky above
+            const treeHeight = Math.min(
+                this.height * heightFraction,
+                this.getClearance(x, avoid),
+                this.getGroundY(x) - this.height * this.treeTopLimit
+            );
+            if (treeHeight < this.height * this.treeMinHeight * 0.5) continue;
+
+            this.hazards.push({
+                type: 'trees',
+                x,
+                y: this.getGroundY(x) - treeHeight / 2,
+                width: this.treeWidth,
+                height: treeHeight,
+                swayPhase: this.rng.random() * Math.PI * 2
+            });
+            placed++;
+        }
+
+        return placed;
+    }
+
+    /**
+     * Get the ground level at x (terrain surface if there is one)
+     */
+    getGroundY(x) {
+        return this.groundAt ? this.groundAt(x) : this.height;
+    }
+
+    /**
+     * Check a tree doesn't crowd the trees already placed
+     */
+    isValidTreePosition(x) {
+        for (const hazard of this.hazards) {
+            if (hazard.type === 'trees' && Math.abs(hazard.x - x) < this.minTreeSpacing) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Get the tallest a tree at x can grow without covering anything in the avoid list
+     * Chimney houses reach roughly 40px either side and 50px below the chimney
+     */
+    getClearance(x, avoid) {
+        let clearance = Infinity;
+
+        for (const point of avoid) {
+            if (Math.abs(point.x - x) < this.treeWidth / 2 + 40) {
+                clearance = Math.min(clearance, this.getGroundY(x) - (point.y + 60));
+            }
+        }
+
+        return clearance;
+    }
+
+    /**
+     * Spawn ice clouds drifting through the sky
+     */
+    spawnIceClouds(count) {
+        const startX = this.width / 2;
+        const startY = this.height / 2;
+        const attempts = count * 20;
+        let placed = 0;
+
+        for (let i = 0; i < attempts && placed < count; i++) {
+            const radius = this.iceCloudMinRadius +
+                this.rng.random() * (this.iceCloudMaxRadius - this.iceCloudMinRadius);
+            const x = this.rng.random() * this.width;
+            const y = radius + this.rng.random() * (this.height * 0.6 - radius);
+
+            if (Math.hypot(x - startX, y - startY) < this.iceCloudSafeDistance) continue;
+
+            this.hazards.push({
+                type: 'ice',
+                x,
+                y,
+                baseY: y,
+                width: radius * 2,
+                height: radius * 1.2,
+                radius,
+                speedX: (0.3 + this.rng.random() * 0.4) * (this.rng.random() < 0.5 ? -1 : 1),
+                bobPhase: this.rng.random() * Math.PI * 2,
+                puffs: this.createPuffs(radius)
+            });
+            placed++;
+        }
+
+        return placed;
+    }
+
+    /**
+     * Create the puff circles that make up a cloud shape
+     */
+    createPuffs(radius) {
+        const puffs = [];
+        const puffCount = 5;
+
+        for (let i = 0; i < puffCount; i++) {
+            const t = i / (puffCount - 1);
+            puffs.push({
+                offsetX: (t - 0.5) * radius * 1.4,
+                offsetY: (this.rng.random() - 0.5) * radius * 0.3,
+                radius: radius * (0.45 + Math.sin(t * Math.PI) * 0.25)
+            });
+        }
+
+        return puffs;
+    }
+
+    /**
+     * Spawn balloons drifting loose in the sky
+     */
+    spawnBalloons(count) {
+        const startX = this.width / 2;
+        const startY = this.height / 2;
+        const attempts = count * 20;
+        let placed = 0;
+
+        for (let i = 0; i < attempts && placed < count; i++) {
+            const x = this.spawnMargin + this.rng.random() * (this.width - this.spawnMargin * 2);
+            const y = this.spawnMargin + this.rng.random() * (this.height * 0.7 - this.spawnMargin);
+
+            if (Math.hypot(x - startX, y - startY) < this.iceCloudSafeDistance) continue;
+
+            this.hazards.push(this.createBalloon(x, y));
+            placed++;
+        }
+
+        return placed;
+    }
+
+    /**
+     * Create a balloon hazard
+     */
+    createBalloon(x, y) {
+        return {
+            type: 'balloons',
+            x,
+            y,
+            baseY: y,
+            width: this.balloonRadius * 2,
+            height: this.balloonRadius * 2.4,
+            speedX: (this.rng.random() - 0.5) * 0.8,
+            speedY: 0,
+            bobPhase: this.rng.random() * Math.PI * 2,
+            color: this.balloonColors[Math.floor(this.rng.random() * this.balloonColors.length)]
+        };
+    }
+
+    /**
+     * Remove a hazard (e.g. a balloon that got tangled on the sleigh)
+     */
+    removeHazard(hazard) {
+        this.hazards = this.hazards.filter(h => h !== hazard);
+    }
+
+    /**
+     * Let balloons shaken off the sleigh float away
+     * They no longer collide and are removed once off screen
+     */
+    releaseBalloons(balloons, x, y) {
+        balloons.forEach((balloon, index) => {
+            const released = this.createBalloon(x + (index - balloons.length / 2) * 20, y);
+            released.color = balloon.color;
+            released.active = false;
+            released.escaping = true;
+            released.speedY = -2 - this.rng.random();
+            this.hazards.push(released);
+        });
+    }
+
+    /**
+     * Update a balloon's drift
+     */
+    updateBalloon(balloon, deltaTime) {
+        balloon.bobPhase += deltaTime * 0.002;
+        balloon.x += balloon.speedX;
+
+        if (balloon.escaping) {
+            balloon.y += balloon.speedY;
+            if (balloon.y < -balloon.height * 2) {
+                balloon.done = true;
+            }
+            return;
+        }
+
+        // Wrap around the edges
+        if (balloon.x < -balloon.width) balloon.x = this.width + balloon.width;
+        if (balloon.x > this.width + balloon.width) balloon.x = -balloon.width;
+
+        balloon.y = balloon.baseY + Math.sin(balloon.bobPhase) * 12;
+    }
+
+    /**
+     * Schedule the next airplane
+     */
+    scheduleAirplane() {
+        const interval = this.airplaneIntervalMin +
+            this.rng.random() * (this.airplaneIntervalMax - this.airplaneIntervalMin);
+        this.airplaneTimer = interval * this.airplaneIntervalScale;
+    }
+
+    /**
+     * Get the visible part of the world (the whole world if no view is set)
+     */
+    getView() {
+        return this.view || { x: 0, y: 0, width: this.width, height: this.height };
+    }
+
+    /**
+     * Get the x just off the edge of the view that a plane enters from
+     */
+    getAirplaneEntryX(direction) {
+        const view = this.getView();
+        return direction > 0
+            ? view.x - this.airplaneWidth
+            : view.x + view.width + this.airplaneWidth;
+    }
+
+    /**
+     * Launch an airplane - it waits at the edge of the view in warning state first
+     */
+    launchAirplane() {
+        const view = this.getView();
+        const direction = this.rng.random() < 0.5 ? 1 : -1;
+        const laneY = view.y + view.height * (0.1 + this.rng.random() * 0.6);
+
+        this.hazards.push({
+            type: 'airplanes',
+            x: this.getAirplaneEntryX(direction),
+            y: laneY,
+            width: this.airplaneWidth,
+            height: this.airplaneHeight,
+            direction,
+            active: false,                  // Can't collide until it enters
+            warningTimer: this.airplaneWarningDuration
+        });
+
+        if (this.haptics) {
+            this.haptics.airplaneWarning();
+        }
+    }
+
+    /**
+     * Move an airplane through warning and flight
+     */
+    updateAirplane(plane, deltaTime) {
+        if (!plane.active) {
+            // Wait just off screen, even as the view moves
+            plane.x = this.getAirplaneEntryX(plane.direction);
+            plane.warningTimer -= deltaTime;
+            if (plane.warningTimer <= 0) {
+                plane.active = true;
+            }
+            return;
+        }
+
+        plane.x += plane.direction * this.airplaneSpeed;
+
+        // Flown off the far side
+        if ((plane.direction > 0 && plane.x > this.width + plane.width) ||
+            (plane.direction < 0 && plane.x < -plane.width)) {
+            plane.done = true;
+        }
+    }
+
+    /**
+     * Update hazards
+     * @param {number} deltaTime - Frame time in ms
+     * @param {Object} view - Visible part of the world, used to place incoming planes
+     */
+    update(deltaTime, view) {
+        if (view) {
+            this.view = view;
+        }
+
+        if (this.activeTypes.includes('airplanes')) {
+            this.airplaneTimer -= deltaTime;
+            if (this.airplaneTimer <= 0) {
+                this.launchAirplane();
+                this.scheduleAirplane();
+            }
+        }
+
+        this.hazards.forEach(hazard => {
+            if (hazard.type === 'airplanes') {
+                this.updateAirplane(hazard, deltaTime);
+            } else if (hazard.type === 'balloons') {
+                this.updateBalloon(hazard, deltaTime);
+            }
+
+            if (hazard.type === 'ice') {
+                // Drift sideways and wrap around the edges
+                hazard.x += hazard.speedX;
+                if (hazard.x < -hazard.radius) hazard.x = this.width + hazard.radius;
+                if (hazard.x > this.width + hazard.radius) hazard.x = -hazard.radius;
+
+                hazard.bobPhase += deltaTime * 0.001;
+                hazard.y = hazard.baseY + Math.sin(hazard.bobPhase) * 10;
+            }
+        });
+
+        // Remove airplanes and escaped balloons that have left the screen
+        this.hazards = this.hazards.filter(hazard => !hazard.done);
+    }
+
+    /**
+     * Check Rudolf and the sleigh against every hazard
+     * Ice is a status effect, so being inside a cloud doesn't hide what else is hit:
+     * emits hazard:hit for every ice cloud touched and for the first other hit,
+     * and returns that other hit's data (or the ice's, if that was all)
+     */
+    checkCollisions(rudolfBounds, sleighBounds) {
+        let iceHit = null;
+
+        for (const hazard of this.hazards) {
+            if (hazard.active === false) continue;
+
+            const typeData = this.types[hazard.type];
+            const bounds = this.getHazardBounds(hazard);
+            let target = null;
+
+            if (typeData.hitsRudolf && HazardSystem.intersects(rudolfBounds, bounds)) {
+                target = 'rudolf';
+            } else if (typeData.hitsSleigh && sleighBounds && HazardSystem.intersects(sleighBounds, bounds)) {
+                target = 'sleigh';
+            }
+
+            if (target) {
+                const data = {
+                    hazard,
+                    typeData,
+                    target
+                };
+
+                GameEvents.emit('hazard:hit', data);
+
+                if (typeData.effect === 'ice') {
+                    iceHit = iceHit || data;
+                    continue;
+                }
+                return data;
+            }
+        }
+        return iceHit;
+    }
+
+    /**
+     * Get hazard bounds for collision detection
+     */
+    getHazardBounds(hazard) {
+        if (hazard.type === 'trees') {
+            // Pine canopy is a triangle, so use a narrower box than the drawing
+            const hitWidth = hazard.width * 0.6;
+            const hitHeight = hazard.height * 0.9;
+            return {
+                x: hazard.x - hitWidth / 2,
+                y: hazard.y + hazard.height / 2 - hitHeight,
+                width: hitWidth,
+                height: hitHeight
+            };
+        }
+
+        if (hazard.type === 'ice') {
+            // Only the dense middle of the cloud counts
+            return {
+                x: hazard.x - hazard.radius * 0.7,
+                y: hazard.y - hazard.radius * 0.4,
+                width: hazard.radius * 1.4,
+                height: hazard.radius * 0.8
+            };
+        }
+
+        return {
+            x: hazard.x - hazard.width / 2,
+            y: hazard.y - hazard.height / 2,
+            width: hazard.width,
+            height: hazard.height
+        };
+    }
+
+    /**
+     * Axis-aligned bounding box overlap test
+     */
+    static intersects(a, b) {
+        return a.x < b.x + b.width &&
+               a.x + a.width > b.x &&
+               a.y < b.y + b.height &&
+               a.y + a.height > b.y;
+    }
+
+    /**
+     * Draw all hazards (behind the fog)
+     */
+    draw(ctx) {
+        this.hazards.forEach(hazard => {
+            if (hazard.type === 'trees') {
+                this.drawTree(ctx, hazard);
+            } else if (hazard.type === 'ice') {
+                this.drawIceCloud(ctx, hazard, 0.9);
+            } else if (hazard.type === 'airplanes' && hazard.active) {
+                this.drawAirplane(ctx, hazard);
+            } else if (hazard.type === 'balloons') {
+                HazardSystem.drawBalloon(ctx, hazard.x, hazard.y, hazard.color, hazard.bobPhase);
+            }
+        });
+    }
+
+    /**
+     * Draw hints that show through the fog
+     * Ice clouds shimmer faintly so they are only partly hidden,
+     * and airplanes show their warning lane and blinking lights
+     */
+    drawOverlay(ctx) {
+        const shimmer = 0.12 + Math.sin(Date.now() * 0.002) * 0.04;
+
+        this.hazards.forEach(hazard => {
+            if (hazard.type === 'ice') {
+                this.drawIceCloud(ctx, hazard, shimmer);
+            } else if (hazard.type === 'airplanes') {
+                if (hazard.active) {
+                    this.drawAirplaneLights(ctx, hazard);
+                } else {
+                    this.drawAirplaneWarning(ctx, hazard);
+                }
+            }
+        });
+    }
+
+    /**
+     * Draw a snowy pine tree
+     */
+    drawTree(ctx, tree) {
+        const base = tree.y + tree.height / 2;
+        const top = tree.y - tree.height / 2;
+        const trunkHeight = tree.height * 0.15;
+        const canopyHeight = tree.height - trunkHeight;
+        const sway = Math.sin(tree.swayPhase + Date.now() * 0.001) * 2;
+
+        ctx.save();
+        ctx.translate(tree.x, 0);
+
+        // Trunk
+        ctx.fillStyle = '#5d4037';
+        ctx.fillRect(-6, base - trunkHeight, 12, trunkHeight);
+
+        // Three stacked canopy layers, narrowing toward the top
+        const layers = 3;
+        for (let i = 0; i < layers; i++) {
+            const layerBottom = base - trunkHeight - (canopyHeight / layers) * i * 0.8;
+            const layerTop = i === layers - 1
+                ? top
+                : layerBottom - (canopyHeight / layers) * 1.4;
+            const halfWidth = (tree.width / 2) * (1 - i * 0.22);
+            const tipSway = sway * (i + 1) / layers;
+
+            ctx.fillStyle = i % 2 === 0 ? '#1e5631' : '#2e7d32';
+            ctx.beginPath();
+            ctx.moveTo(-halfWidth, layerBottom);
+            ctx.lineTo(tipSway, layerTop);
+            ctx.lineTo(halfWidth, layerBottom);
+            ctx.closePath();
+            ctx.fill();
+
+            // Snow on the layer tip
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.beginPath();
+            ctx.moveTo(tipSway - halfWidth * 0.25, layerTop + (layerBottom - layerTop) * 0.25);
+            ctx.lineTo(tipSway, layerTop);
+            ctx.lineTo(tipSway + halfWidth * 0.25, layerTop + (layerBottom - layerTop) * 0.25);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw an icy cloud
+     */
+    drawIceCloud(ctx, cloud, alpha) {
+        ctx.save();
+        ctx.translate(cloud.x, cloud.y);
+        ctx.globalAlpha = alpha;
+
+        cloud.puffs.forEach(puff => {
+            const gradient = ctx.createRadialGradient(
+                puff.offsetX, puff.offsetY, 0,
+                puff.offsetX, puff.offsetY, puff.radius
+            );
+            gradient.addColorStop(0, 'rgba(225, 245, 255, 1)');
+            gradient.addColorStop(0.7, 'rgba(160, 210, 240, 0.8)');
+            gradient.addColorStop(1, 'rgba(120, 180, 230, 0)');
+
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(puff.offsetX, puff.offsetY, puff.radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Ice crystals
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 1.5;
+        for (let i = 0; i < 3; i++) {
+            const cx = (i - 1) * cloud.radius * 0.5;
+            const cy = Math.sin(cloud.bobPhase + i) * 6;
+            ctx.beginPath();
+            for (let arm = 0; arm < 3; arm++) {
+                const angle = (arm / 3) * Math.PI;
+                ctx.moveTo(cx - Math.cos(angle) * 6, cy - Math.sin(angle) * 6);
+                ctx.lineTo(cx + Math.cos(angle) * 6, cy + Math.sin(angle) * 6);
+            }
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw an airplane crossing the sky
+     */
+    drawAirplane(ctx, plane) {
+        const w = plane.width;
+        const h = plane.height;
+
+        ctx.save();
+        ctx.translate(plane.x, plane.y);
+        if (plane.direction < 0) {
+            ctx.scale(-1, 1);
+        }
+
+        // Fuselage
+        ctx.fillStyle = '#dfe6e9';
+        ctx.beginPath();
+        ctx.ellipse(0, 0, w / 2, h / 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Wings
+        ctx.fillStyle = '#b2bec3';
+        ctx.beginPath();
+        ctx.moveTo(-5, 0);
+        ctx.lineTo(-20, h / 2);
+        ctx.lineTo(5, h / 2);
+        ctx.lineTo(15, 0);
+        ctx.closePath();
+        ctx.fill();
+
+        // Tail fin
+        ctx.beginPath();
+        ctx.moveTo(-w / 2 + 5, 0);
+        ctx.lineTo(-w / 2, -h / 2);
+        ctx.lineTo(-w / 2 + 18, -h / 2);
+        ctx.lineTo(-w / 2 + 25, 0);
+        ctx.closePath();
+        ctx.fill();
+
+        // Cockpit windows
+        ctx.fillStyle = '#2d3436';
+        for (let i = 0; i < 5; i++) {
+            ctx.fillRect(w / 2 - 22 - i * 12, -3, 6, 4);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw blinking navigation lights (visible through fog)
+     */
+    drawAirplaneLights(ctx, plane) {
+        const blink = Math.floor(Date.now() / 400) % 2 === 0;
+        if (!blink) return;
+
+        const lights = [
+            { x: plane.x + plane.direction * plane.width / 2, color: 'rgba(255, 255, 255, 0.9)' },
+            { x: plane.x - plane.direction * plane.width / 2, color: 'rgba(255, 60, 60, 0.9)' }
+        ];
+
+        ctx.save();
+        lights.forEach(light => {
+            const gradient = ctx.createRadialGradient(light.x, plane.y, 0, light.x, plane.y, 14);
+            gradient.addColorStop(0, light.color);
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(light.x, plane.y, 14, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Draw the incoming-plane warning: a dashed flight path and an edge marker
+     */
+    drawAirplaneWarning(ctx, plane) {
+        const progress = 1 - plane.warningTimer / this.airplaneWarningDuration;
+        const pulse = 0.5 + Math.sin(Date.now() * 0.015) * 0.5;
+        const view = this.getView();
+        const edgeX = plane.direction > 0 ? view.x + 28 : view.x + view.width - 28;
+
+        ctx.save();
+
+        // Flight path, drawn further across the screen as the plane nears
+        ctx.strokeStyle = `rgba(231, 76, 60, ${0.25 + pulse * 0.25})`;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([12, 10]);
+        ctx.beginPath();
+        ctx.moveTo(edgeX, plane.y);
+        ctx.lineTo(edgeX + plane.direction * view.width * progress, plane.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Edge marker
+        ctx.fillStyle = `rgba(231, 76, 60, ${0.6 + pulse * 0.4})`;
+        ctx.beginPath();
+        ctx.arc(edgeX, plane.y, 22, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.font = '22px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#fff';
+        ctx.fillText('✈️', edgeX, plane.y);
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw a balloon with its trailing string
+     * Static so the sleigh can draw balloons tangled on its rope
+     */
+    static drawBalloon(ctx, x, y, color, phase = 0, radius = 18) {
+        ctx.save();
+        ctx.translate(x, y);
+
+        // String
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, radius * 1.2);
+        ctx.quadraticCurveTo(Math.sin(phase) * 6, radius * 1.8, 0, radius * 2.6);
+        ctx.stroke();
+
+        // Balloon
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.ellipse(0, 0, radius, radius * 1.2, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Knot
+        ctx.beginPath();
+        ctx.moveTo(-3, radius * 1.2 + 3);
+        ctx.lineTo(0, radius * 1.2 - 2);
+        ctx.lineTo(3, radius * 1.2 + 3);
+        ctx.closePath();
+        ctx.fill();
+
+        // Shine
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.45)';
+        ctx.beginPath();
+        ctx.ellipse(-radius * 0.35, -radius * 0.45, radius * 0.2, radius * 0.35, -0.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    /**
+     * Check if a hazard type is active this level
+     */
+    hasHazard(type) {
+        return this.activeTypes.includes(type);
+    }
+
+    /**
+     * Reset for new level
+     */
+    reset() {
+        this.hazards = [];
+        this.activeTypes = [];
+        this.airplaneTimer = 0;
+        this.view = null;
+    }
+}
+
+// Export for use in other modules
+window.HazardSystem = HazardSystem;
@@ -12,6 +12,7 @@ const Levels = {
             chimneys: 5,
             time: 90,
             powerups: 3,
+            maxMisses: 5,
             hazards: [],
             description: 'Learn the tilts',
             unlocked: true
@@ -23,6 +24,7 @@ const Levels = {
             chimneys: 8,
             time: 80,
             powerups: 4,
+            maxMisses: 4,
             hazards: ['buildings'],
             description: 'Taller buildings to dodge',
             unlocked: false
@@ -34,6 +36,7 @@ const Levels = {
             chimneys: 10,
             time: 75,
             powerups: 4,
+            maxMisses: 3,
             hazards: ['trees', 'altitude'],
             description: 'Altitude matters',
             unlocked: false
@@ -45,6 +48,7 @@ const Levels = {
             chimneys: 12,
             time: 70,
             powerups: 5,
+            maxMisses: 3,
             hazards: ['wind', 'trees'],
             description: 'Phone vibrates in wind gusts',
             unlocked: false
@@ -56,6 +60,7 @@ const Levels = {
             chimneys: 15,
             time: 60,
             powerups: 5,
+            maxMisses: 2,
             hazards: ['wind', 'ice', 'airplanes'],
             description: 'Ice dims your nose',
             unlocked: false
@@ -67,6 +72,7 @@ const Levels = {
             chimneys: 20,
             time: 55,
             powerups: 6,
+            maxMisses: 2,
             hazards: ['wind', 'ice', 'airplanes', 'balloons'],
             description: 'Good luck',
             unlocked: false
@@ -82,6 +88,10 @@ const Levels = {
     // Stars earned per level (0-3)
     starsEarned: {},
 
+    // Storage adapter (getItem/setItem/removeItem); null means localStorage
+    storage: null,
+    storageKey: 'rudolf_game_progress',
+
     /**
      * Get configuration for a specific level
      */
@@ -149,10 +159,12 @@ const Levels = {
 
     /**
      * Record score and calculate stars
+     * A level counts as completed once every chimney is delivered or missed
+     * without going over the level's miss limit
      */
-    recordScore(levelNumber, score, timeLeft, allDelivered, noBoosts, sleighUntouched, noRadar) {
+    recordScore(levelNumber, score, timeLeft, completed, noBoosts, sleighUntouched, noRadar, noMisses = true) {
         // Update high score
-        if (!this.highScores[levelNumber] || score > this.highScores[levelNumber]) {
+        if (this.isHighScore(levelNumber, score)) {
             this.highScores[levelNumber] = score;
         }
 
@@ -160,14 +172,14 @@ const Levels = {
         let stars = 0;
 
         // 1 star: Complete level
-        if (allDelivered) stars++;
+        if (completed) stars++;
 
         // 2 stars: Complete with time bonus (>20% time remaining)
         const config = this.getConfig(levelNumber);
-        if (allDelivered && timeLeft > config.time * 0.2) stars++;
+        if (completed && timeLeft > config.time * 0.2) stars++;
 
-        // 3 stars: Perfect run (no boosts or radar used, sleigh untouched)
-        if (allDelivered && noBoosts && sleighUntouched && noRadar) stars++;
+        // 3 stars: Perfect run (no misses, no boosts or radar used, sleigh untouched)
+        if (completed && noMisses && noBoosts && sleighUntouched && noRadar) stars++;
 
         // Update stars earned
         if (!this.starsEarned[levelNumber] || stars > this.starsEarned[levelNumber]) {
@@ -175,7 +187,7 @@ const Levels = {
         }
 
         // Unlock next level if completed
-        if (allDelivered) {
+        if (completed) {
             this.unlockLevel(levelNumber + 1);
         }
 
@@ -184,6 +196,13 @@ const Levels = {
         return stars;
     },
 
+    /**
+     * Check if a score would beat the level's high score
+     */
+    isHighScore(levelNumber, score) {
+        return !this.highScores[levelNumber] || score > this.highScores[levelNumber];
+    },
+
     /**
      * Calculate bonus points
      */
@@ -242,7 +261,7 @@ const Levels = {
                 starsEarned: this.starsEarned,
                 unlocked: this.configs.map(c => c.unlocked)
             };
-            localStorage.setItem('rudolf_game_progress', JSON.stringify(data));
+            this.getStorage().setItem(this.storageKey, JSON.stringify(data));
         } catch (e) {
             console.warn('Could not save progress:', e);
         }
@@ -253,7 +272,7 @@ const Levels = {
      */
     load() {
         try {
-            const data = JSON.parse(localStorage.getItem('rudolf_game_progress'));
+            const data = JSON.parse(this.getStorage().getItem(this.storageKey));
             if (data) {
                 this.highScores = data.highScores || {};
                 this.starsEarned = data.starsEarned || {};
@@ -283,7 +302,18 @@ const Levels = {
             config.unlocked = index === 0;
         });
 
-        localStorage.removeItem('rudolf_game_progress');
+        try {
+            this.getStorage().removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('Could not clear progress:', e);
+        }
+    },
+
+    /**
+     * Get where progress is saved
+     */
+    getStorage() {
+        return this.storage || localStorage;
     },
 
     /**
@@ -7,6 +7,9 @@ class PowerUpSystem {
         this.width = width;
         this.height = height;
 
+        // Random source (Math, or a seeded stream set per level by Game)
+        this.rng = Math;
+
         this.powerups = [];
 
         // Power-up types and their effects
@@ -66,53 +69,72 @@ class PowerUpSystem {
         // Active effects
         this.activeEffects = new Map();
 
-        // Callbacks
-        this.onCollect = null;
-        this.onEffectStart = null;
-        this.onEffectEnd = null;
+        // Optional (x, y) => boolean check for spots power-ups can't go (e.g. inside buildings)
+        this.isBlocked = null;
+
+        // Haptics adapter (powerUp), null to run without feedback
+        this.haptics = window.Haptics || null;
     }
 
     /**
      * Spawn power-ups for a level
+     * @param {Object[]} spots - Fixed positions and types to use first (e.g. from a challenge layout)
      */
-    spawnPowerups(count, allowedTypes = null) {
+    spawnPowerups(count, allowedTypes = null, spots = []) {
         this.powerups = [];
         this.activeEffects.clear();
 
         const typeKeys = allowedTypes || Object.keys(this.types);
 
-        for (let i = 0; i < count; i++) {
-            const x = this.spawnMargin + Math.random() * (this.width - this.spawnMargin * 2);
-            const y = this.spawnMargin + Math.random() * (this.height - this.spawnMargin * 2);
+        spots.slice(0, count).forEach(spot => {
+            this.powerups.push(this.createPowerup(spot.x, spot.y, spot.type));
+        });
 
-            const typeKey = typeKeys[Math.floor(Math.random() * typeKeys.length)];
+        for (let i = this.powerups.length; i < count; i++) {
+            let x = 0;
+            let y = 0;
 
-            this.powerups.push({
-                x,
-                y,
-                type: typeKey,
-                collected: false,
-                bobPhase: Math.random() * Math.PI * 2,
-                spawnTime: Date.now()
-            });
+            // Re-roll positions that land somewhere unreachable
+            for (let attempt = 0; attempt < 10; attempt++) {
+                x = this.spawnMargin + this.rng.random() * (this.width - this.spawnMargin * 2);
+                y = this.spawnMargin + this.rng.random() * (this.height - this.spawnMargin * 2);
+
+                if (!this.isBlocked || !this.isBlocked(x, y)) break;
+            }
+
+            const typeKey = typeKeys[Math.floor(this.rng.random() * typeKeys.length)];
+
+            this.powerups.push(this.createPowerup(x, y, typeKey));
         }
 
         return this.powerups.length;
     }
 
+    /**
+     * Create a power-up
+     */
+    createPowerup(x, y, type) {
+        return {
+            x,
+            y,
+            type,
+            collected: false,
+            bobPhase: this.rng.random() * Math.PI * 2,
+            spawnTime: GameClock.now()
+        };
+    }
+
     /**
      * Update power-ups
      */
     update(deltaTime) {
         // Check for expired effects
-        const now = Date.now();
+        const now = GameClock.now();
 
         this.activeEffects.forEach((effect, type) => {
             if (effect.expiry && now >= effect.expiry) {
                 this.activeEffects.delete(type);
-                if (this.onEffectEnd) {
-                    this.onEffectEnd(type);
-                }
+                GameEvents.emit('powerup:effectEnded', { type });
             }
         });
     }
@@ -146,30 +168,25 @@ class PowerUpSystem {
         // Start duration-based effects
         if (typeData.duration > 0) {
             this.activeEffects.set(powerup.type, {
-                startTime: Date.now(),
-                expiry: Date.now() + typeData.duration,
+                startTime: GameClock.now(),
+                expiry: GameClock.now() + typeData.duration,
                 duration: typeData.duration
             });
 
-            if (this.onEffectStart) {
-                this.onEffectStart(powerup.type, typeData);
-            }
+            GameEvents.emit('powerup:effectStarted', { type: powerup.type, typeData });
         }
 
         // Haptic feedback
-        if (window.Haptics) {
-            Haptics.powerUp();
+        if (this.haptics) {
+            this.haptics.powerUp();
         }
 
-        // Callback
-        if (this.onCollect) {
-            this.onCollect({
-                type: powerup.type,
-                typeData,
-                x: powerup.x,
-                y: powerup.y
-            });
-        }
+        GameEvents.emit('powerup:collected', {
+            type: powerup.type,
+            typeData,
+            x: powerup.x,
+            y: powerup.y
+        });
 
         return {
             type: powerup.type,
@@ -194,7 +211,7 @@ class PowerUpSystem {
         const effect = this.activeEffects.get(type);
         if (!effect) return 0;
 
-        return Math.max(0, effect.expiry - Date.now());
+        return Math.max(0, effect.expiry - GameClock.now());
     }
 
     /**
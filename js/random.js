@@ -0,0 +1,67 @@
+/**
+ * Seeded Random - Reproducible random numbers for level generation
+ * Drop-in for Math where only random() is used, so systems can take either
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number in [0, 1), like Math.random() (mulberry32)
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Create an independent stream for one system
+     * Each system draws from its own stream, so extra calls in one
+     * (e.g. player-triggered) don't shift what the others generate
+     * @param {string} label - Stream name, e.g. 'chimneys'
+     */
+    fork(label) {
+        // FNV-1a hash of the label
+        let hash = 2166136261;
+        for (let i = 0; i < label.length; i++) {
+            hash ^= label.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+
+        return new SeededRandom(this.seed ^ hash);
+    }
+
+    /**
+     * Pick a fresh seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Format a seed as a short code for display and sharing
+     */
+    static formatSeed(seed) {
+        return (seed >>> 0).toString(36).toUpperCase();
+    }
+
+    /**
+     * Parse a seed code back to a number (null if invalid)
+     */
+    static parseSeed(text) {
+        const code = String(text).trim();
+        if (!/^[0-9a-z]{1,7}$/i.test(code)) return null;
+
+        const seed = parseInt(code, 36);
+        return seed <= 0xFFFFFFFF ? seed : null;
+    }
+}
+
+// Export for use in other modules
+window.SeededRandom = SeededRandom;
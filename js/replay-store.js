@@ -0,0 +1,113 @@
+/**
+ * Replay Store - Keeps recorded runs in IndexedDB
+ * Runs are listed per level; only the newest few per level are kept
+ */
+const ReplayStore = {
+    dbName: 'rudolf-replays',
+    dbVersion: 1,
+    storeName: 'runs',
+
+    // Runs kept per level
+    maxPerLevel: 10,
+
+    // Open database (a promise, shared by every call)
+    dbPromise: null,
+
+    /**
+     * Check if IndexedDB is available
+     */
+    isSupported() {
+        return 'indexedDB' in window;
+    },
+
+    /**
+     * Open the database, creating the store on first use
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                store.createIndex('level', 'level');
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Let a later call try again if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Run a request against the store and wait for its result
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Gets the object store, returns an IDBRequest
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Save a recorded run, dropping the oldest runs past maxPerLevel
+     * @returns {Promise<number>} Id of the saved run
+     */
+    async save(run) {
+        const id = await this.request('readwrite', store => store.add(run));
+
+        const runs = await this.listForLevel(run.level);
+        for (const old of runs.slice(this.maxPerLevel)) {
+            await this.delete(old.id);
+        }
+
+        return id;
+    },
+
+    /**
+     * Get the runs recorded on a level, newest first
+     */
+    async listForLevel(level) {
+        const runs = await this.request('readonly', store => store.index('level').getAll(level));
+        return runs.sort((a, b) => b.date - a.date);
+    },
+
+    /**
+     * Get one run by id
+     */
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    },
+
+    /**
+     * Delete one run by id
+     */
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+};
+
+// Export for use in other modules
+window.ReplayStore = ReplayStore;
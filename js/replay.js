@@ -0,0 +1,172 @@
+/**
+ * Replay - Records the input that reaches the game each simulation step
+ * and feeds it back, so a run replays exactly from its level seed
+ *
+ * A run records tilt once per step plus events (shakes, taps, radar, view
+ * resizes) tagged with the step they arrived before
+ */
+const Replay = {
+    // 'idle', 'recording' or 'playing'
+    mode: 'idle',
+
+    // Run being recorded or played
+    run: null,
+
+    // Steps started so far in the current run
+    tick: 0,
+
+    // Next recorded event to feed back
+    eventIndex: 0,
+
+    // Playback controls
+    speeds: [0.5, 1, 2],
+    speed: 1,
+    paused: false,
+
+    /**
+     * Check if a recorded run is playing
+     */
+    isPlaying() {
+        return this.mode === 'playing';
+    },
+
+    /**
+     * Check if the current run is being recorded
+     */
+    isRecording() {
+        return this.mode === 'recording';
+    },
+
+    /**
+     * Start recording a run
+     * @param {Object} info - { level, seed, layoutCode, viewWidth, viewHeight }
+     */
+    startRecording(info) {
+        this.mode = 'recording';
+        this.run = {
+            ...info,
+            tilt: [],
+            events: [],
+            ticks: 0
+        };
+        this.tick = 0;
+        this.eventIndex = 0;
+    },
+
+    /**
+     * Finish recording and return the run (null if nothing was recording)
+     * @param {Object} result - { score, completed }
+     */
+    finishRecording(result) {
+        if (!this.isRecording()) return null;
+
+        const run = {
+            ...this.run,
+            ...result,
+            ticks: this.tick,
+            date: Date.now()
+        };
+
+        this.stop();
+        return run;
+    },
+
+    /**
+     * Start playing a recorded run from its first step
+     */
+    startPlayback(run) {
+        this.mode = 'playing';
+        this.run = run;
+        this.paused = false;
+        this.rewind();
+    },
+
+    /**
+     * Go back to the first step of the run being played
+     */
+    rewind() {
+        this.tick = 0;
+        this.eventIndex = 0;
+    },
+
+    /**
+     * Stop recording or playing
+     */
+    stop() {
+        this.mode = 'idle';
+        this.run = null;
+        this.tick = 0;
+        this.eventIndex = 0;
+        this.paused = false;
+    },
+
+    /**
+     * Start a simulation step
+     * @returns {Object[]} Recorded events due before this step (only while playing)
+     */
+    beginStep() {
+        const due = [];
+
+        if (this.isPlaying()) {
+            const events = this.run.events;
+            while (this.eventIndex < events.length && events[this.eventIndex].tick <= this.tick) {
+                due.push(events[this.eventIndex++]);
+            }
+        }
+
+        this.tick++;
+        return due;
+    },
+
+    /**
+     * Record this step's tilt velocity (passes it through)
+     */
+    recordTilt(velocity) {
+        if (this.isRecording()) {
+            this.run.tilt.push(velocity.x, velocity.y);
+        }
+        return velocity;
+    },
+
+    /**
+     * Get the recorded tilt velocity for the current step
+     */
+    getTilt() {
+        const index = (this.tick - 1) * 2;
+
+        return {
+            x: this.run.tilt[index] || 0,
+            y: this.run.tilt[index + 1] || 0
+        };
+    },
+
+    /**
+     * Record an input event, due before the next step
+     * @param {string} type - 'shake', 'tap', 'radar' or 'view'
+     * @param {Object} data - Event details (e.g. tap position)
+     */
+    recordEvent(type, data = {}) {
+        if (this.isRecording()) {
+            this.run.events.push({ tick: this.tick, type, ...data });
+        }
+    },
+
+    /**
+     * Check if every recorded step has been played
+     */
+    isFinished() {
+        return this.isPlaying() && this.tick >= this.run.ticks;
+    },
+
+    /**
+     * Set playback speed (one of speeds)
+     */
+    setSpeed(speed) {
+        if (this.speeds.includes(speed)) {
+            this.speed = speed;
+        }
+    }
+};
+
+// Export for use in other modules
+window.Replay = Replay;
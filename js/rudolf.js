@@ -8,6 +8,10 @@ class Rudolf {
         this.x = x;
         this.y = y;
 
+        // Position at the start of the last simulation step (for interpolated drawing)
+        this.prevX = x;
+        this.prevY = y;
+
         // Velocity
         this.velocityX = 0;
         this.velocityY = 0;
@@ -17,7 +21,8 @@ class Rudolf {
         this.height = 40;
 
         // Physics
-        this.maxSpeed = 8;
+        this.baseMaxSpeed = 8;
+        this.maxSpeed = this.baseMaxSpeed;
         this.acceleration = 0.3;
         this.friction = 0.92;
 
@@ -50,6 +55,7 @@ class Rudolf {
         // Immunity frames after collision
         this.isImmune = false;
         this.immuneDuration = 1000;
+        this.immuneTimer = null;
 
         // Wind effect
         this.windForceX = 0;
@@ -73,6 +79,9 @@ class Rudolf {
      * Update Rudolf based on tilt input
      */
     update(deltaTime, tiltVelocity) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+
         // Apply tilt-based acceleration
         if (tiltVelocity) {
             this.velocityX += tiltVelocity.x * this.acceleration;
@@ -147,16 +156,24 @@ class Rudolf {
         this.isBoosting = true;
 
         if (this.boostTimer) {
-            clearTimeout(this.boostTimer);
+            GameClock.clearTimeout(this.boostTimer);
         }
 
-        this.boostTimer = setTimeout(() => {
+        this.boostTimer = GameClock.setTimeout(() => {
             this.isBoosting = false;
             this.boostTimer = null;
+            GameEvents.emit('boost:ended');
         }, this.boostDuration);
 
+        const nosePos = this.getNosePosition();
+        GameEvents.emit('boost:activated', {
+            x: nosePos.x,
+            y: nosePos.y,
+            radius: this.noseBoostRadius
+        });
+
         return true;
-    },
+    }
 
     /**
      * Set overheated state
@@ -172,10 +189,10 @@ class Rudolf {
         this.isIced = true;
 
         if (this.iceTimer) {
-            clearTimeout(this.iceTimer);
+            GameClock.clearTimeout(this.iceTimer);
         }
 
-        this.iceTimer = setTimeout(() => {
+        this.iceTimer = GameClock.setTimeout(() => {
             this.isIced = false;
             this.iceTimer = null;
         }, this.iceDuration);
@@ -197,6 +214,13 @@ class Rudolf {
         this.windForceY = 0;
     }
 
+    /**
+     * Scale top speed (e.g. balloons tangled on the sleigh slow Rudolf down)
+     */
+    setSpeedMultiplier(multiplier) {
+        this.maxSpeed = this.baseMaxSpeed * multiplier;
+    }
+
     /**
      * Handle collision
      */
@@ -205,8 +229,9 @@ class Rudolf {
 
         this.isImmune = true;
 
-        setTimeout(() => {
+        this.immuneTimer = GameClock.setTimeout(() => {
             this.isImmune = false;
+            this.immuneTimer = null;
         }, this.immuneDuration);
 
         return true;
@@ -359,6 +384,8 @@ class Rudolf {
     reset(x, y) {
         this.x = x;
         this.y = y;
+        this.prevX = x;
+        this.prevY = y;
         this.velocityX = 0;
         this.velocityY = 0;
         this.isBoosting = false;
@@ -368,15 +395,20 @@ class Rudolf {
         this.currentNoseRadius = this.noseRadius;
         this.windForceX = 0;
         this.windForceY = 0;
+        this.maxSpeed = this.baseMaxSpeed;
 
         if (this.boostTimer) {
-            clearTimeout(this.boostTimer);
+            GameClock.clearTimeout(this.boostTimer);
             this.boostTimer = null;
         }
         if (this.iceTimer) {
-            clearTimeout(this.iceTimer);
+            GameClock.clearTimeout(this.iceTimer);
             this.iceTimer = null;
         }
+        if (this.immuneTimer) {
+            GameClock.clearTimeout(this.immuneTimer);
+            this.immuneTimer = null;
+        }
     }
 }
 
@@ -0,0 +1,209 @@
+/**
+ * Game Simulation - Builds and steps the world, shared by Game and the headless harness
+ * Works on any "world" object with Game's fields: rudolf, sleigh, camera,
+ * fogSystem, chimneySystem, powerUpSystem, hazardSystem, windSystem,
+ * buildingSystem, terrainSystem, a timer (seconds) and a state. Score, UI,
+ * haptics, sound, ghosts and replays stay with the caller, which reacts to
+ * the game events a step emits
+ */
+const GameSimulation = {
+    /**
+     * Give each system its own random stream from the level seed
+     */
+    seedSystems(world, random) {
+        world.chimneySystem.rng = random.fork('chimneys');
+        world.powerUpSystem.rng = random.fork('powerups');
+        world.hazardSystem.rng = random.fork('hazards');
+        world.windSystem.rng = random.fork('wind');
+        world.buildingSystem.rng = random.fork('buildings');
+        world.terrainSystem.rng = random.fork('terrain');
+        world.sleigh.rng = random.fork('sleigh');
+
+        world.fogSystem.rng = random.fork('fog');
+        world.fogSystem.initParticles();
+    },
+
+    /**
+     * Let systems ask each other about the ground, buildings and mountains
+     */
+    linkSystems(world) {
+        world.hazardSystem.groundAt = (x) => world.terrainSystem.getSurfaceY(x);
+
+        // Keep chimneys and power-ups out of buildings and mountains
+        world.chimneySystem.isBlocked = (x, y) => {
+            return world.buildingSystem.containsPoint(x, y + 50) ||
+                   !world.terrainSystem.canHostChimney(x, y);
+        };
+        world.powerUpSystem.isBlocked = (x, y) => {
+            const radius = world.powerUpSystem.collectRadius;
+            return world.buildingSystem.containsPoint(x, y, radius) ||
+                   world.terrainSystem.isBlocked(x, y, radius);
+        };
+    },
+
+    /**
+     * Lay out a level: fog, skyline and mountains, then chimneys, power-ups, hazards and wind
+     * @param {Object} config - Level config (Levels.getCurrentConfig())
+     * @param {number} levelNumber - Level being played
+     * @param {Object} layout - Exact chimney and power-up spots (a challenge or ghost), or null
+     */
+    buildLevel(world, config, levelNumber, layout = null) {
+        world.fogSystem.setDensity(config.fog);
+
+        // Build the skyline and mountains first so chimneys can sit on them
+        world.buildingSystem.generate(config.hazards);
+        world.terrainSystem.generate(config.hazards);
+        const spots = [
+            ...world.buildingSystem.getRooftopSpots(config.chimneys),
+            ...world.terrainSystem.getCabinSpots(config.chimneys, world.chimneySystem.spawnMargin)
+        ];
+
+        // Presents can only be dropped from low enough over the mountains
+        if (world.terrainSystem.enabled) {
+            world.chimneySystem.altitudeBand = world.terrainSystem.deliveryBand;
+        }
+
+        // Spawn chimneys and power-ups (exactly where the sender had them, for a challenge)
+        world.chimneySystem.spawnChimneys(config.chimneys, layout ? layout.chimneys : spots);
+        world.powerUpSystem.spawnPowerups(config.powerups, null, layout ? layout.powerups : []);
+
+        // Spawn hazards, keeping chimney houses clear
+        world.hazardSystem.spawnHazards(config.hazards, levelNumber, world.chimneySystem.chimneys);
+        world.windSystem.start(config.hazards, levelNumber);
+    },
+
+    /**
+     * Advance the world by one fixed step
+     * @param {number} deltaTime - Step length in ms
+     * @param {Function} getTilt - Returns the tilt velocity { x, y }; only called
+     *                             while there is time left (replays record it then)
+     * @returns {string|null} Failure reason if the step ended the run ('timeout' when
+     *                        the clock ran out, as Game.handleFailure takes it), otherwise null
+     */
+    step(world, deltaTime, getTilt) {
+        // Advance game time (fires boost, ice, overheat and other timed effects)
+        GameClock.advance(deltaTime);
+
+        world.timer -= deltaTime / 1000;
+        if (world.timer <= 0) {
+            return 'timeout';
+        }
+
+        const tiltVelocity = getTilt();
+
+        // Update wind gusts (cocoa power-up blocks the push)
+        world.windSystem.update(deltaTime, world.rudolf, world.powerUpSystem.hasWindImmunity());
+
+        // Update Rudolf and follow him with the camera
+        world.rudolf.update(deltaTime, tiltVelocity);
+        world.camera.update(world.rudolf);
+
+        // Update nose visibility (star power-up widens it)
+        const nosePos = world.rudolf.getNosePosition();
+        const noseRadius = world.rudolf.getVisibilityRadius() * world.powerUpSystem.getVisibilityMultiplier();
+        world.fogSystem.setNoseVisibility(nosePos.x, nosePos.y, noseRadius);
+
+        world.sleigh.update(deltaTime);
+        world.fogSystem.update(deltaTime);
+
+        // Update chimneys (may end the run on too many misses)
+        world.chimneySystem.update(deltaTime, world.fogSystem, world.rudolf);
+        if (world.state !== 'playing') return null;
+
+        world.powerUpSystem.update(deltaTime);
+        world.powerUpSystem.checkCollision(world.rudolf.x, world.rudolf.y);
+
+        // Update hazards and check collisions
+        world.hazardSystem.update(deltaTime, world.camera.getView());
+        world.hazardSystem.checkCollisions(world.rudolf.getBounds(), world.sleigh.getBounds());
+
+        // Buildings are solid: hitting one costs time, then pushes back out
+        world.buildingSystem.checkCollisions(world.rudolf.getBounds(), world.sleigh.getBounds());
+        world.buildingSystem.keepOut(world.rudolf);
+        world.buildingSystem.keepOut(world.sleigh);
+        world.buildingSystem.updateContacts(world.rudolf.getBounds(), world.sleigh.getBounds());
+
+        // Mountains are solid: hitting them costs time, then pushes back up
+        if (world.terrainSystem.enabled) {
+            world.terrainSystem.checkCollisions(world.rudolf.getBounds(), world.sleigh.getBounds());
+            world.terrainSystem.keepAbove(world.rudolf);
+            world.terrainSystem.keepAbove(world.sleigh);
+            world.terrainSystem.updateContacts(world.rudolf.getBounds(), world.sleigh.getBounds());
+        }
+
+        return null;
+    },
+
+    /**
+     * Apply a hazard:hit to Rudolf, the sleigh and the clock
+     * @returns {string|null} 'ice', 'tangle' or 'hit', or null if it had no effect
+     */
+    applyHazardHit(world, data) {
+        if (data.typeData.effect === 'ice') {
+            // Already frozen - don't re-trigger every frame inside the cloud
+            if (world.rudolf.isIced) return null;
+
+            world.rudolf.applyIce();
+            return 'ice';
+        }
+
+        // A balloon caught on the sleigh rope slows everything down
+        if (data.typeData.effect === 'tangle') {
+            world.hazardSystem.removeHazard(data.hazard);
+            world.sleigh.tangleBalloon(data.hazard);
+            world.sleigh.handleCollision();
+            return 'tangle';
+        }
+
+        // Rudolf's immunity frames cover the sleigh too
+        if (!world.rudolf.handleCollision()) return null;
+
+        if (data.target === 'sleigh') {
+            world.sleigh.handleCollision();
+        }
+
+        const penalty = data.typeData.penalty || 0;
+        if (penalty > 0) {
+            world.timer = Math.max(0, world.timer - penalty);
+        }
+        return 'hit';
+    },
+
+    /**
+     * Apply a collected power-up's effect on the world (boost charges live in the controls)
+     */
+    applyPowerUp(world, typeData) {
+        switch (typeData.effect) {
+            case 'time':
+                world.timer += typeData.value;
+                break;
+            case 'reveal':
+                world.fogSystem.revealAll(typeData.duration);
+                break;
+        }
+    },
+
+    /**
+     * Fire the nose boost: burn a hole in the fog and shake off tangled balloons
+     * @returns {boolean} Whether the boost went off
+     */
+    boost(world) {
+        if (!world.rudolf.activateBoost()) return false;
+
+        world.sleigh.releaseBalloons();
+
+        const nosePos = world.rudolf.getNosePosition();
+        world.fogSystem.addBoostBurst(nosePos.x, nosePos.y, world.rudolf.noseBoostRadius);
+        return true;
+    },
+
+    /**
+     * Let balloons shaken off the sleigh float away as hazards again
+     */
+    releaseBalloons(world, balloons) {
+        world.hazardSystem.releaseBalloons(balloons, world.sleigh.x, world.sleigh.y - 40);
+    }
+};
+
+// Export
+window.GameSimulation = GameSimulation;
@@ -6,10 +6,17 @@ class Sleigh {
     constructor(rudolf) {
         this.rudolf = rudolf;
 
+        // Random source (Math, or a seeded stream set per level by Game)
+        this.rng = Math;
+
         // Position (starts behind Rudolf)
         this.x = rudolf.x - 80;
         this.y = rudolf.y;
 
+        // Position at the start of the last simulation step (for interpolated drawing)
+        this.prevX = this.x;
+        this.prevY = this.y;
+
         // Size
         this.width = 70;
         this.height = 35;
@@ -34,6 +41,15 @@ class Sleigh {
         // Collision tracking
         this.hasCollidedThisLevel = false;
 
+        // Balloons tangled on the rope
+        this.tangledBalloons = [];
+        this.balloonDrag = 0.02;            // Extra friction per balloon
+        this.balloonSpeedPenalty = 0.12;    // Rudolf top speed lost per balloon
+        this.balloonTug = 0.15;             // Pull per balloon
+        this.pullLooseSpeed = 0.55;         // Fraction of Rudolf's top speed against the tug
+        this.pullLooseDuration = 600;       // How long to pull before they snap loose
+        this.pullLooseTimer = 0;
+
         // Animation
         this.bobOffset = 0;
         this.bobSpeed = 0.003;
@@ -43,6 +59,9 @@ class Sleigh {
      * Update sleigh position following Rudolf
      */
     update(deltaTime) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+
         // Target position is behind Rudolf
         const targetX = this.rudolf.x - (this.rudolf.facingRight ? this.ropeLength : -this.ropeLength);
         const targetY = this.rudolf.y;
@@ -75,16 +94,107 @@ class Sleigh {
             this.velocityY += (dy / distance) * pullBack;
         }
 
+        // Tangled balloons tug the sleigh and add drag
+        if (this.tangledBalloons.length > 0) {
+            this.updateTangledBalloons(deltaTime);
+        }
+
         // Apply friction
-        this.velocityX *= this.friction;
-        this.velocityY *= this.friction;
+        const friction = this.friction - this.tangledBalloons.length * this.balloonDrag;
+        this.velocityX *= friction;
+        this.velocityY *= friction;
 
         // Update position
         this.x += this.velocityX;
         this.y += this.velocityY;
 
         // Bob animation
-        this.bobOffset = Math.sin(Date.now() * this.bobSpeed) * 3;
+        this.bobOffset = Math.sin(GameClock.now() * this.bobSpeed) * 3;
+    }
+
+    /**
+     * Apply balloon tug and check whether Rudolf is pulling hard enough to free them
+     */
+    updateTangledBalloons(deltaTime) {
+        const tug = this.getBalloonTug();
+
+        this.velocityX += tug.x * this.balloonTug * this.tangledBalloons.length;
+        this.velocityY += tug.y * this.balloonTug * this.tangledBalloons.length;
+
+        this.tangledBalloons.forEach(balloon => {
+            balloon.swayPhase += deltaTime * 0.004;
+        });
+
+        // Flying hard against the tug snaps the strings
+        const against = -(this.rudolf.velocityX * tug.x + this.rudolf.velocityY * tug.y);
+        if (against > this.rudolf.maxSpeed * this.pullLooseSpeed) {
+            this.pullLooseTimer += deltaTime;
+            if (this.pullLooseTimer >= this.pullLooseDuration) {
+                this.releaseBalloons();
+            }
+        } else {
+            this.pullLooseTimer = 0;
+        }
+    }
+
+    /**
+     * Get the combined pull direction of tangled balloons (unit vector)
+     */
+    getBalloonTug() {
+        let x = 0;
+        let y = 0;
+
+        this.tangledBalloons.forEach(balloon => {
+            x += balloon.tugX;
+            y += balloon.tugY;
+        });
+
+        const length = Math.sqrt(x * x + y * y) || 1;
+        return { x: x / length, y: y / length };
+    }
+
+    /**
+     * Tangle a balloon on the rope
+     */
+    tangleBalloon(balloon) {
+        // Balloons pull upward, leaning the way they were drifting
+        const angle = -Math.PI / 2 + Math.max(-0.8, Math.min(0.8, balloon.speedX * 2));
+
+        this.tangledBalloons.push({
+            color: balloon.color,
+            tugX: Math.cos(angle),
+            tugY: Math.sin(angle),
+            ropeT: 0.3 + this.rng.random() * 0.5,
+            swayPhase: this.rng.random() * Math.PI * 2
+        });
+
+        this.pullLooseTimer = 0;
+        this.updateRudolfSpeed();
+    }
+
+    /**
+     * Free all tangled balloons
+     * @returns {Object[]} The balloons that were released
+     */
+    releaseBalloons() {
+        const released = this.tangledBalloons;
+        if (released.length === 0) return released;
+
+        this.tangledBalloons = [];
+        this.pullLooseTimer = 0;
+        this.updateRudolfSpeed();
+
+        GameEvents.emit('sleigh:balloonsReleased', { balloons: released });
+
+        return released;
+    }
+
+    /**
+     * Slow Rudolf down for each balloon he is dragging
+     */
+    updateRudolfSpeed() {
+        const multiplier = Math.max(0.5, 1 - this.tangledBalloons.length * this.balloonSpeedPenalty);
+        this.rudolf.setSpeedMultiplier(multiplier);
     }
 
     /**
@@ -185,6 +295,39 @@ class Sleigh {
         }
 
         ctx.stroke();
+
+        // Tangled balloons hang off the rope
+        this.tangledBalloons.forEach(balloon => {
+            const anchor = this.getRopePointAt(points, balloon.ropeT);
+            const stringLength = 50;
+            const sway = Math.sin(balloon.swayPhase) * 8;
+            const bx = anchor.x + balloon.tugX * stringLength + sway;
+            const by = anchor.y + balloon.tugY * stringLength;
+
+            // Tangled string from the rope to the balloon's tail
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(anchor.x, anchor.y);
+            ctx.lineTo(bx, by + 45);
+            ctx.stroke();
+
+            HazardSystem.drawBalloon(ctx, bx, by, balloon.color, balloon.swayPhase);
+        });
+    }
+
+    /**
+     * Get a point part way along the rope (t from 0 at Rudolf to 1 at the sleigh)
+     */
+    getRopePointAt(points, t) {
+        const scaled = t * (points.length - 1);
+        const index = Math.min(points.length - 2, Math.floor(scaled));
+        const local = scaled - index;
+
+        return {
+            x: points[index].x + (points[index + 1].x - points[index].x) * local,
+            y: points[index].y + (points[index + 1].y - points[index].y) * local
+        };
     }
 
     /**
@@ -247,11 +390,15 @@ class Sleigh {
     reset() {
         this.x = this.rudolf.x - this.ropeLength;
         this.y = this.rudolf.y;
+        this.prevX = this.x;
+        this.prevY = this.y;
         this.velocityX = 0;
         this.velocityY = 0;
         this.swingAngle = 0;
         this.swingVelocity = 0;
         this.hasCollidedThisLevel = false;
+        this.tangledBalloons = [];
+        this.pullLooseTimer = 0;
     }
 }
 
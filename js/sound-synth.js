@@ -0,0 +1,246 @@
+/**
+ * Sound Synth - Builds the game's sound effects from oscillators and noise
+ * Each recipe plays into an OfflineAudioContext once, and the rendered
+ * buffer is played like any loaded sound, so there is nothing to download
+ */
+const SoundSynth = {
+    // Recipes by sound name: length in seconds and a build(ctx) that schedules the sound from time 0
+    // Loops are an exact number of bars/LFO cycles long so they repeat without a seam
+    recipes: {
+        // Sleigh bells: two shakes per beat, accented on the beat
+        jingle: {
+            duration: 2,
+            build(ctx, synth) {
+                for (let i = 0; i < 8; i++) {
+                    synth.bell(ctx, i * 0.25, i % 2 === 0 ? 0.35 : 0.22);
+                }
+            }
+        },
+
+        // Wind: noise through a band-pass that sweeps slowly up and down
+        wind: {
+            duration: 4,
+            build(ctx, synth) {
+                const noise = synth.noise(ctx, 4);
+
+                const filter = ctx.createBiquadFilter();
+                filter.type = 'bandpass';
+                filter.frequency.value = 500;
+                filter.Q.value = 0.8;
+
+                // One LFO cycle per loop (0.25 Hz over 4s)
+                const lfo = ctx.createOscillator();
+                lfo.frequency.value = 0.25;
+                const lfoDepth = ctx.createGain();
+                lfoDepth.gain.value = 250;
+                lfo.connect(lfoDepth);
+                lfoDepth.connect(filter.frequency);
+
+                const gain = ctx.createGain();
+                gain.gain.value = 0.8;
+
+                noise.connect(filter);
+                filter.connect(gain);
+                gain.connect(ctx.destination);
+
+                noise.start(0);
+                lfo.start(0);
+            }
+        },
+
+        // Nose boost: a noise whoosh sweeping up with a rising glow underneath
+        boost: {
+            duration: 0.9,
+            build(ctx, synth) {
+                const noise = synth.noise(ctx, 0.9);
+
+                const filter = ctx.createBiquadFilter();
+                filter.type = 'bandpass';
+                filter.Q.value = 1.5;
+                filter.frequency.setValueAtTime(300, 0);
+                filter.frequency.exponentialRampToValueAtTime(3500, 0.6);
+
+                const noiseGain = synth.envelope(ctx, 0, 0.1, 0.8, 0.7);
+                noise.connect(filter);
+                filter.connect(noiseGain);
+                noiseGain.connect(ctx.destination);
+                noise.start(0);
+
+                const glow = ctx.createOscillator();
+                glow.type = 'sine';
+                glow.frequency.setValueAtTime(220, 0);
+                glow.frequency.exponentialRampToValueAtTime(880, 0.5);
+
+                const glowGain = synth.envelope(ctx, 0, 0.05, 0.7, 0.3);
+                glow.connect(glowGain);
+                glowGain.connect(ctx.destination);
+                glow.start(0);
+                glow.stop(0.9);
+            }
+        },
+
+        // Delivery: a soft thud down the chimney, then a two-note chime
+        deliver: {
+            duration: 1.2,
+            build(ctx, synth) {
+                const thud = ctx.createOscillator();
+                thud.type = 'sine';
+                thud.frequency.setValueAtTime(140, 0);
+                thud.frequency.exponentialRampToValueAtTime(50, 0.15);
+
+                const thudGain = synth.envelope(ctx, 0, 0.005, 0.18, 0.8);
+                thud.connect(thudGain);
+                thudGain.connect(ctx.destination);
+                thud.start(0);
+                thud.stop(0.2);
+
+                synth.chime(ctx, 0.05, 1046.5, 0.35);   // C6
+                synth.chime(ctx, 0.17, 1568.0, 0.35);   // G6
+            }
+        },
+
+        // Power-up: a quick rising sparkle arpeggio
+        powerup: {
+            duration: 0.6,
+            build(ctx, synth) {
+                [1318.5, 1568.0, 2093.0, 2637.0].forEach((frequency, i) => {
+                    const start = i * 0.06;
+
+                    const osc = ctx.createOscillator();
+                    osc.type = 'triangle';
+                    osc.frequency.value = frequency;
+
+                    const gain = synth.envelope(ctx, start, 0.005, 0.25, 0.3);
+                    osc.connect(gain);
+                    gain.connect(ctx.destination);
+                    osc.start(start);
+                    osc.stop(start + 0.3);
+                });
+            }
+        }
+    },
+
+    /**
+     * Check if offline rendering is available
+     */
+    isSupported() {
+        return !!(window.OfflineAudioContext || window.webkitOfflineAudioContext);
+    },
+
+    /**
+     * Check if there is a recipe for a sound
+     */
+    has(name) {
+        return name in this.recipes;
+    },
+
+    /**
+     * Render a sound to an AudioBuffer
+     * @param {string} name - Sound name (see recipes)
+     * @param {number} sampleRate - Match the playing context to skip resampling
+     * @returns {Promise<AudioBuffer>}
+     */
+    render(name, sampleRate = 44100) {
+        const recipe = this.recipes[name];
+        if (!recipe) {
+            return Promise.reject(new Error(`No recipe for sound ${name}`));
+        }
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('OfflineAudioContext not supported'));
+        }
+
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const ctx = new OfflineContextClass(1, Math.ceil(recipe.duration * sampleRate), sampleRate);
+
+        recipe.build(ctx, this);
+
+        // Older Safari only reports the result through oncomplete
+        return new Promise((resolve, reject) => {
+            ctx.oncomplete = (e) => resolve(e.renderedBuffer);
+            const result = ctx.startRendering();
+            if (result && result.then) {
+                result.then(resolve, reject);
+            }
+        });
+    },
+
+    /**
+     * Create a gain node that rises to a peak and then dies away
+     * @param {number} start - When the envelope starts (s)
+     * @param {number} attack - Rise time to peak (s)
+     * @param {number} length - Time from start until it has died away (s)
+     * @param {number} peak - Peak gain
+     */
+    envelope(ctx, start, attack, length, peak) {
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(peak, start + attack);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + length);
+        return gain;
+    },
+
+    /**
+     * Create a white noise source
+     */
+    noise(ctx, duration) {
+        const length = Math.ceil(duration * ctx.sampleRate);
+        const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        return source;
+    },
+
+    /**
+     * One sleigh bell shake: inharmonic partials with a short ring and a noise tick
+     */
+    bell(ctx, start, volume) {
+        [2400, 3310, 4470, 5980].forEach((frequency, i) => {
+            const osc = ctx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.value = frequency;
+
+            const gain = this.envelope(ctx, start, 0.002, 0.18 - i * 0.03, volume / (i + 1));
+            osc.connect(gain);
+            gain.connect(ctx.destination);
+            osc.start(start);
+            osc.stop(start + 0.2);
+        });
+
+        const tick = this.noise(ctx, 0.04);
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = 6000;
+
+        const tickGain = this.envelope(ctx, start, 0.001, 0.04, volume * 0.6);
+        tick.connect(filter);
+        filter.connect(tickGain);
+        tickGain.connect(ctx.destination);
+        tick.start(start);
+    },
+
+    /**
+     * One chime note: a sine with a quieter bell-like overtone, ringing out
+     */
+    chime(ctx, start, frequency, volume) {
+        [[1, 1], [2.76, 0.3], [5.4, 0.1]].forEach(([ratio, level]) => {
+            const osc = ctx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.value = frequency * ratio;
+
+            const gain = this.envelope(ctx, start, 0.004, 0.9 / ratio + 0.1, volume * level);
+            osc.connect(gain);
+            gain.connect(ctx.destination);
+            osc.start(start);
+            osc.stop(start + 1);
+        });
+    }
+};
+
+// Export for use in other modules
+window.SoundSynth = SoundSynth;
@@ -0,0 +1,337 @@
+/**
+ * Terrain System - Mountain ground along the bottom of the world
+ * Gives the vertical axis meaning: fly too low and you hit the slopes,
+ * fly too high and the chimneys are out of reach
+ */
+class TerrainSystem {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        // Random source (Math, or a seeded stream set per level by Game)
+        this.rng = Math;
+
+        this.enabled = false;
+
+        // Ground height range (fraction of world height)
+        this.minGround = 0.12;
+        this.maxGround = 0.4;
+
+        // Layered sine waves that shape the ridge line
+        this.waves = [];
+        this.sampleSpacing = 8;
+        this.samples = [];
+
+        // Delivery band: Rudolf's height above the ground that presents can drop from
+        this.deliveryBand = { min: 0, max: 180 };
+
+        // Altimeter display scale
+        this.metersPerPixel = 5;
+
+        // Chimney cabins along the slopes
+        this.cabinSpacing = 150;
+
+        // Whether Rudolf and the sleigh are in contact with the ground. A contact
+        // lasts until they are clear of it by contactPadding, so flying low along
+        // a slope is one hit (more than the sleigh's 6px bob)
+        this.touching = { rudolf: false, sleigh: false };
+        this.contactPadding = 8;
+
+        // Hitting the mountainside costs as much as hitting a tree (named after
+        // the level's hazard entry, as the ground isn't in the hazard list)
+        this.typeData = {
+            name: 'altitude',
+            emoji: '⛰️',
+            effect: 'penalty',
+            penalty: 5,
+            description: 'Lose 5 seconds if you fly into the mountain'
+        };
+    }
+
+    /**
+     * Generate terrain if the level has altitude
+     * @param {string[]} hazardTypes - Hazard names from the level config
+     */
+    generate(hazardTypes) {
+        this.enabled = hazardTypes.includes('altitude');
+        this.waves = [];
+        this.samples = [];
+
+        if (!this.enabled) return false;
+
+        // Broad ridges plus smaller bumps
+        const wavelengths = [this.width * 0.9, this.width * 0.35, this.width * 0.12];
+        const amplitudes = [0.55, 0.3, 0.15];
+
+        wavelengths.forEach((wavelength, i) => {
+            this.waves.push({
+                frequency: (Math.PI * 2) / wavelength,
+                amplitude: amplitudes[i],
+                phase: this.rng.random() * Math.PI * 2
+            });
+        });
+
+        for (let x = 0; x <= this.width + this.sampleSpacing; x += this.sampleSpacing) {
+            this.samples.push(this.calculateSurfaceY(x));
+        }
+
+        return true;
+    }
+
+    /**
+     * Calculate ground surface y from the waves
+     */
+    calculateSurfaceY(x) {
+        // Sum of waves is in -1..1; map it onto the ground height range
+        let sum = 0;
+        this.waves.forEach(wave => {
+            sum += Math.sin(x * wave.frequency + wave.phase) * wave.amplitude;
+        });
+
+        const t = (sum + 1) / 2;
+        const groundHeight = this.minGround + t * (this.maxGround - this.minGround);
+        return this.height - this.height * groundHeight;
+    }
+
+    /**
+     * Get ground surface y at x (world bottom when there is no terrain)
+     */
+    getSurfaceY(x) {
+        if (!this.enabled || this.samples.length === 0) return this.height;
+
+        const position = Math.max(0, x) / this.sampleSpacing;
+        const index = Math.min(this.samples.length - 2, Math.floor(position));
+        const t = Math.min(1, position - index);
+
+        return this.samples[index] + (this.samples[index + 1] - this.samples[index]) * t;
+    }
+
+    /**
+     * Get the highest ground under a bounding box
+     */
+    getHighestSurfaceUnder(bounds) {
+        return Math.min(
+            this.getSurfaceY(bounds.x),
+            this.getSurfaceY(bounds.x + bounds.width / 2),
+            this.getSurfaceY(bounds.x + bounds.width)
+        );
+    }
+
+    /**
+     * Get altitude above the ground in pixels
+     */
+    getAltitude(x, y) {
+        return this.getSurfaceY(x) - y;
+    }
+
+    /**
+     * Convert a pixel altitude to altimeter meters
+     */
+    toMeters(altitude) {
+        return Math.max(0, Math.round(altitude * this.metersPerPixel));
+    }
+
+    /**
+     * Check if an altitude is inside the delivery band
+     */
+    isInDeliveryBand(altitude) {
+        return altitude >= this.deliveryBand.min && altitude <= this.deliveryBand.max;
+    }
+
+    /**
+     * Check if a point is inside (or within clearance of) the mountain
+     */
+    isBlocked(x, y, clearance = 0) {
+        if (!this.enabled) return false;
+
+        return this.getAltitude(x, y) < clearance;
+    }
+
+    /**
+     * Check if a chimney at x/y would be deliverable
+     * Its house has to clear the ground and its top has to sit inside the delivery band
+     */
+    canHostChimney(x, y) {
+        if (!this.enabled) return true;
+
+        return !this.isBlocked(x, y + 50) && this.getAltitude(x, y) <= this.deliveryBand.max;
+    }
+
+    /**
+     * Get chimney positions for cabins along the slopes
+     * Cabins sit on the ground first; if the range runs out of room, the rest
+     * perch higher up the mountainside, still inside the delivery band
+     * @param {number} count - Number of spots wanted
+     * @param {number} margin - Distance to keep from the world edges
+     * @returns {Object[]} Spots with x/y for the chimney center
+     */
+    getCabinSpots(count, margin) {
+        if (!this.enabled) return [];
+
+        const spots = [];
+        const slots = Math.floor((this.width - margin * 2) / this.cabinSpacing);
+
+        for (let i = 0; i <= slots; i++) {
+            const x = margin + i * this.cabinSpacing;
+            spots.push({ x, y: this.getCabinGround(x) - 50 });
+        }
+
+        // Shuffle so chimneys spread across the range
+        for (let i = spots.length - 1; i > 0; i--) {
+            const j = Math.floor(this.rng.random() * (i + 1));
+            [spots[i], spots[j]] = [spots[j], spots[i]];
+        }
+        spots.length = Math.min(spots.length, count);
+
+        // Every chimney has to be deliverable, so crowding is allowed as a last resort
+        const attempts = count * 20;
+        for (let i = 0; spots.length < count; i++) {
+            const spot = this.getPerchSpot(margin);
+
+            const crowded = i < attempts && spots.some(other =>
+                Math.abs(other.x - spot.x) < this.cabinSpacing / 2 && Math.abs(other.y - spot.y) < 70
+            );
+            if (!crowded) {
+                spots.push(spot);
+            }
+        }
+
+        return spots;
+    }
+
+    /**
+     * Get a random chimney position perched above the ground, inside the delivery band
+     */
+    getPerchSpot(margin) {
+        const x = margin + this.rng.random() * (this.width - margin * 2);
+        const lift = this.rng.random() * (this.deliveryBand.max - 60);
+        const y = Math.max(
+            this.getCabinGround(x) - 50 - lift,
+            this.getSurfaceY(x) - this.deliveryBand.max
+        );
+
+        return { x, y };
+    }
+
+    /**
+     * Get the highest ground under a cabin (cabins are 70px wide)
+     */
+    getCabinGround(x) {
+        return Math.min(
+            this.getSurfaceY(x - 35),
+            this.getSurfaceY(x),
+            this.getSurfaceY(x + 35)
+        );
+    }
+
+    /**
+     * Check Rudolf and the sleigh against the mountainside
+     * Only a new contact counts: flying low along a slope (pushed back up by
+     * keepAbove) costs time once, not every time immunity ends. Call
+     * updateContacts after the push-out.
+     * Emits hazard:hit for the first new contact found and returns its data
+     */
+    checkCollisions(rudolfBounds, sleighBounds) {
+        if (!this.enabled) return null;
+
+        const hits = {
+            rudolf: !this.touching.rudolf && this.isTouching(rudolfBounds),
+            sleigh: !this.touching.sleigh && !!sleighBounds && this.isTouching(sleighBounds)
+        };
+        this.touching.rudolf = this.touching.rudolf || hits.rudolf;
+        this.touching.sleigh = this.touching.sleigh || hits.sleigh;
+
+        const target = ['rudolf', 'sleigh'].find(name => hits[name]);
+        if (!target) return null;
+
+        const data = {
+            hazard: null,
+            typeData: this.typeData,
+            target
+        };
+
+        GameEvents.emit('hazard:hit', data);
+
+        return data;
+    }
+
+    /**
+     * End the contacts of Rudolf and the sleigh once they are clear of the ground
+     */
+    updateContacts(rudolfBounds, sleighBounds) {
+        if (this.touching.rudolf) {
+            this.touching.rudolf = this.isTouching(rudolfBounds, this.contactPadding);
+        }
+        if (this.touching.sleigh) {
+            this.touching.sleigh = !!sleighBounds && this.isTouching(sleighBounds, this.contactPadding);
+        }
+    }
+
+    /**
+     * Check if a box reaches into the ground (or comes within padding of it)
+     */
+    isTouching(bounds, padding = 0) {
+        return bounds.y + bounds.height + padding > this.getHighestSurfaceUnder(bounds);
+    }
+
+    /**
+     * Push an entity (Rudolf or the sleigh) back above the ground
+     */
+    keepAbove(entity) {
+        if (!this.enabled) return;
+
+        const bounds = entity.getBounds();
+        const surface = this.getHighestSurfaceUnder(bounds);
+        const overlap = bounds.y + bounds.height - surface;
+
+        if (overlap > 0) {
+            entity.y -= overlap;
+            entity.velocityY = Math.min(entity.velocityY, 0);
+        }
+    }
+
+    /**
+     * Draw the mountains (behind the fog)
+     */
+    draw(ctx) {
+        if (!this.enabled) return;
+
+        // Rock
+        ctx.fillStyle = '#3d4a5c';
+        ctx.beginPath();
+        ctx.moveTo(0, this.height);
+        this.samples.forEach((y, i) => {
+            ctx.lineTo(i * this.sampleSpacing, y);
+        });
+        ctx.lineTo(this.width, this.height);
+        ctx.closePath();
+        ctx.fill();
+
+        // Snow along the ridge line
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.lineWidth = 6;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        this.samples.forEach((y, i) => {
+            if (i === 0) {
+                ctx.moveTo(0, y);
+            } else {
+                ctx.lineTo(i * this.sampleSpacing, y);
+            }
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Reset for new level
+     */
+    reset() {
+        this.enabled = false;
+        this.waves = [];
+        this.samples = [];
+        this.touching = { rudolf: false, sleigh: false };
+    }
+}
+
+// Export for use in other modules
+window.TerrainSystem = TerrainSystem;
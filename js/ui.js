@@ -11,7 +11,8 @@ const UI = {
         game: null,
         success: null,
         failure: null,
-        settings: null
+        settings: null,
+        replays: null
     },
 
     // HUD elements
@@ -21,12 +22,64 @@ const UI = {
         chimneysCurrent: null,
         chimneysTotal: null,
         boostCharges: null,
-        levelNumber: null
+        levelNumber: null,
+        misses: null,
+        missesMax: null,
+        missCounter: null,
+        altimeter: null,
+        altitude: null,
+        target: null,
+        targetValue: null,
+        ghostSplit: null,
+        ghostSplitValue: null
+    },
+
+    // Challenge score to beat (null when not playing a challenge)
+    targetScore: null,
+
+    // On-screen cue for each vibration pattern (Haptics mirror mode):
+    // 'edge' flashes the screen border, 'rumble' shakes the phone icon,
+    // 'hud' pulses the HUD item the pattern is about
+    hapticCues: {
+        chimneyNear: { kind: 'rumble' },
+        powerUp: { kind: 'rumble' },
+        tangle: { kind: 'rumble' },
+        chimneyFound: { kind: 'edge', color: 'gold' },
+        boost: { kind: 'edge', color: 'boost' },
+        windWarning: { kind: 'edge', color: 'wind' },
+        airplaneWarning: { kind: 'edge', color: 'warning' },
+        collision: { kind: 'edge', color: 'danger' },
+        cold: { kind: 'edge', color: 'ice' },
+        gameOver: { kind: 'edge', color: 'danger' },
+        timeWarning: { kind: 'hud', selector: '#hud .timer' },
+        success: { kind: 'hud', selector: '#hud .chimneys' },
+        miss: { kind: 'hud', selector: '#miss-counter' }
+    },
+    hapticCueTimers: [],
+    hapticCueTarget: null,
+
+    // GameClock timer that clears the frost overlay
+    frostTimer: null,
+    minHapticCue: 60,                   // ms; shorter flashes are too quick to see
+
+    // Failure screen text for each way a run can end
+    failureMessages: {
+        timeout: {
+            title: '❄️ THE FOG WAS TOO THICK ❄️',
+            subtitle: 'Christmas morning came... but the presents didn\'t.'
+        },
+        misses: {
+            title: '💨 TOO MANY MISSED CHIMNEYS 💨',
+            subtitle: 'Santa can\'t turn the sleigh around for every house you flew past.'
+        }
     },
 
     // Current state
     currentScreen: 'start',
 
+    // True while the replay scrubber is being dragged (progress updates wait)
+    scrubbing: false,
+
     // Callbacks
     onPlayClick: null,
     onSettingsClick: null,
@@ -35,15 +88,26 @@ const UI = {
     onResume: null,
     onQuit: null,
     onRetry: null,
+    onRaceGhost: null,
     onNextLevel: null,
     onCalibrate: null,
+    onChallenge: null,
+    onReplaysClick: null,
+    onReplayLevelSelect: null,
+    onReplaySelect: null,
+    onReplayToggle: null,
+    onReplaySpeed: null,
+    onReplaySeek: null,
+    onReplayExit: null,
 
     /**
      * Initialize UI
      */
     init() {
         this.cacheElements();
+        this.buildHapticsPreview();
         this.bindEvents();
+        this.bindGameEvents();
         this.showScreen('start');
     },
 
@@ -59,6 +123,7 @@ const UI = {
         this.screens.success = document.getElementById('success-screen');
         this.screens.failure = document.getElementById('failure-screen');
         this.screens.settings = document.getElementById('settings-screen');
+        this.screens.replays = document.getElementById('replays-screen');
 
         // HUD
         this.hud.score = document.getElementById('score-value');
@@ -67,11 +132,85 @@ const UI = {
         this.hud.chimneysTotal = document.getElementById('chimneys-total');
         this.hud.boostCharges = document.getElementById('boost-charges');
         this.hud.levelNumber = document.getElementById('level-number');
+        this.hud.misses = document.getElementById('misses-value');
+        this.hud.missesMax = document.getElementById('misses-max');
+        this.hud.missCounter = document.getElementById('miss-counter');
+        this.hud.altimeter = document.getElementById('altimeter');
+        this.hud.altitude = document.getElementById('altitude-value');
+        this.hud.target = document.getElementById('target');
+        this.hud.targetValue = document.getElementById('target-value');
+        this.hud.ghostSplit = document.getElementById('ghost-split');
+        this.hud.ghostSplitValue = document.getElementById('ghost-split-value');
 
         // Pause overlay
         this.pauseOverlay = document.getElementById('pause-overlay');
     },
 
+    /**
+     * Keep the HUD in step with game events
+     */
+    bindGameEvents() {
+        GameEvents.on('boost:chargesChanged', ({ charges }) => this.updateBoostCharges(charges));
+        GameEvents.on('boost:activated', () => this.showBoostEffect());
+        GameEvents.on('haptics:played', ({ name, steps }) => this.showHapticCue(name, steps));
+
+        // A frost overlay only lasts as long as the run it froze
+        GameEvents.on('level:started', () => this.hideFrostOverlay());
+        GameEvents.on('level:ended', () => this.hideFrostOverlay());
+        GameEvents.on('level:quit', () => this.hideFrostOverlay());
+    },
+
+    /**
+     * Show a vibration pattern on screen (Haptics mirror mode)
+     * The cue blinks on for each pulse of the pattern, so every pattern keeps its own rhythm
+     * (pulses too short to see are stretched, pushing the rest of the pattern back)
+     */
+    showHapticCue(name, steps) {
+        const cue = this.hapticCues[name] || { kind: 'rumble' };
+        const target = cue.kind === 'hud'
+            ? document.querySelector(cue.selector)
+            : document.getElementById(`haptic-${cue.kind}`);
+        if (!target) return;
+
+        // A new pattern replaces the one showing, as it does on the motor
+        this.clearHapticCue();
+
+        if (cue.color) {
+            target.dataset.color = cue.color;
+        }
+
+        let offset = 0;
+        steps.forEach((ms, index) => {
+            if (index % 2 === 1) {
+                offset += ms;
+                return;
+            }
+
+            const start = offset;
+            const end = start + Math.max(ms, this.minHapticCue);
+            this.hapticCueTimers.push(
+                setTimeout(() => target.classList.add('haptic-on'), start),
+                setTimeout(() => target.classList.remove('haptic-on'), end)
+            );
+            offset = end;
+        });
+
+        this.hapticCueTarget = target;
+    },
+
+    /**
+     * Stop the cue showing now
+     */
+    clearHapticCue() {
+        this.hapticCueTimers.forEach(timer => clearTimeout(timer));
+        this.hapticCueTimers = [];
+
+        if (this.hapticCueTarget) {
+            this.hapticCueTarget.classList.remove('haptic-on');
+            this.hapticCueTarget = null;
+        }
+    },
+
     /**
      * Bind button events
      */
@@ -112,11 +251,52 @@ const UI = {
             if (this.onRetry) this.onRetry();
         });
 
+        document.getElementById('race-ghost-btn')?.addEventListener('click', () => {
+            if (this.onRaceGhost) this.onRaceGhost();
+        });
+
+        document.getElementById('challenge-btn')?.addEventListener('click', () => {
+            if (this.onChallenge) this.onChallenge();
+        });
+
         // Settings
         document.getElementById('settings-back-btn')?.addEventListener('click', () => {
             this.showScreen('start');
         });
 
+        // Replays
+        document.getElementById('replays-btn')?.addEventListener('click', () => {
+            if (this.onReplaysClick) this.onReplaysClick();
+        });
+
+        document.getElementById('replays-back-btn')?.addEventListener('click', () => {
+            this.showScreen('start');
+        });
+
+        document.getElementById('replay-toggle-btn')?.addEventListener('click', () => {
+            if (this.onReplayToggle) this.onReplayToggle();
+        });
+
+        document.getElementById('replay-exit-btn')?.addEventListener('click', () => {
+            if (this.onReplayExit) this.onReplayExit();
+        });
+
+        document.querySelectorAll('.replay-speed').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.onReplaySpeed) this.onReplaySpeed(parseFloat(button.dataset.speed));
+            });
+        });
+
+        // Seek when the scrubber is let go, not on every step of the drag
+        const scrubber = document.getElementById('replay-scrubber');
+        scrubber?.addEventListener('input', () => {
+            this.scrubbing = true;
+        });
+        scrubber?.addEventListener('change', () => {
+            this.scrubbing = false;
+            if (this.onReplaySeek) this.onReplaySeek(parseInt(scrubber.value, 10));
+        });
+
         document.getElementById('calibrate-btn')?.addEventListener('click', () => {
             if (this.onCalibrate) this.onCalibrate();
         });
@@ -136,6 +316,18 @@ const UI = {
             }
         });
 
+        document.getElementById('sound-toggle')?.addEventListener('change', (e) => {
+            if (window.AudioEngine) {
+                AudioEngine.setEnabled(e.target.checked);
+            }
+        });
+
+        document.getElementById('audio-cues-toggle')?.addEventListener('change', (e) => {
+            if (window.AudioEngine) {
+                AudioEngine.setBeaconsEnabled(e.target.checked);
+            }
+        });
+
         document.getElementById('haptics-toggle')?.addEventListener('change', (e) => {
             if (window.Haptics) {
                 if (e.target.checked) {
@@ -145,6 +337,50 @@ const UI = {
                 }
             }
         });
+
+        document.getElementById('haptics-intensity')?.addEventListener('input', (e) => {
+            if (window.Haptics) {
+                Haptics.setIntensity(parseInt(e.target.value, 10));
+            }
+        });
+
+        document.getElementById('mouse-steer-toggle')?.addEventListener('change', (e) => {
+            if (window.MouseSteering) {
+                MouseSteering.setEnabled(e.target.checked);
+            }
+        });
+
+        document.getElementById('pointer-lock-toggle')?.addEventListener('change', (e) => {
+            if (window.MouseSteering) {
+                MouseSteering.setPointerLock(e.target.checked);
+            }
+        });
+
+        const mirrorToggle = document.getElementById('haptics-mirror-toggle');
+        if (mirrorToggle && window.Haptics) {
+            mirrorToggle.checked = Haptics.mirror;
+            mirrorToggle.addEventListener('change', (e) => Haptics.setMirror(e.target.checked));
+        }
+    },
+
+    /**
+     * Add a button per vibration pattern to the settings preview list
+     */
+    buildHapticsPreview() {
+        const list = document.getElementById('haptics-preview');
+        if (!list || !window.Haptics) return;
+
+        Object.keys(Haptics.patterns).forEach(name => {
+            // 'chimneyFound' -> 'Chimney found'
+            const label = name.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'haptics-preview-btn';
+            button.textContent = label.charAt(0).toUpperCase() + label.slice(1);
+            button.addEventListener('click', () => Haptics.preview(name));
+            list.appendChild(button);
+        });
     },
 
     /**
@@ -170,6 +406,9 @@ const UI = {
         if (this.hud.score) {
             this.hud.score.textContent = score.toLocaleString();
         }
+        if (this.hud.target && this.targetScore) {
+            this.hud.target.classList.toggle('beaten', score > this.targetScore);
+        }
     },
 
     /**
@@ -226,6 +465,176 @@ const UI = {
         }
     },
 
+    /**
+     * Update missed chimneys count
+     */
+    updateMisses(missed, maxMisses) {
+        if (this.hud.misses) {
+            this.hud.misses.textContent = missed;
+        }
+        if (this.hud.missesMax) {
+            this.hud.missesMax.textContent = maxMisses;
+        }
+        if (this.hud.missCounter) {
+            // One more miss ends the run
+            this.hud.missCounter.classList.toggle('danger', missed >= maxMisses - 1);
+        }
+    },
+
+    /**
+     * Show or hide the altimeter (only levels with terrain have one)
+     */
+    showAltimeter(visible) {
+        if (this.hud.altimeter) {
+            this.hud.altimeter.classList.toggle('hidden', !visible);
+        }
+    },
+
+    /**
+     * Update altimeter reading
+     * @param {number} meters - Altitude above the ground
+     * @param {boolean} canDeliver - True while low enough to drop presents
+     */
+    updateAltimeter(meters, canDeliver) {
+        if (this.hud.altitude) {
+            this.hud.altitude.textContent = meters;
+        }
+        if (this.hud.altimeter) {
+            this.hud.altimeter.classList.toggle('too-high', !canDeliver);
+        }
+    },
+
+    /**
+     * Show or hide the challenge target score
+     * @param {number|null} score - Score to beat, or null to hide
+     */
+    showTarget(score) {
+        this.targetScore = score;
+
+        if (this.hud.targetValue && score) {
+            this.hud.targetValue.textContent = score.toLocaleString();
+        }
+        if (this.hud.target) {
+            this.hud.target.classList.toggle('hidden', !score);
+            this.hud.target.classList.remove('beaten');
+        }
+    },
+
+    /**
+     * Show or hide the ghost split indicator
+     */
+    showGhostSplit(visible) {
+        if (this.hud.ghostSplit) {
+            this.hud.ghostSplit.classList.toggle('hidden', !visible);
+        }
+        this.updateGhostSplit(0);
+    },
+
+    /**
+     * Update deliveries ahead of (+) or behind (-) the ghost
+     */
+    updateGhostSplit(split) {
+        if (this.hud.ghostSplitValue) {
+            this.hud.ghostSplitValue.textContent = split > 0 ? `+${split}` : split < 0 ? `−${-split}` : '=';
+        }
+        if (this.hud.ghostSplit) {
+            this.hud.ghostSplit.classList.toggle('ahead', split > 0);
+            this.hud.ghostSplit.classList.toggle('behind', split < 0);
+        }
+    },
+
+    /**
+     * Show the replays screen for a level
+     * @param {number} level - Level whose runs are listed
+     * @param {number} levelCount - Number of levels to pick from
+     * @param {Object[]} runs - Recorded runs, newest first
+     */
+    showReplays(level, levelCount, runs) {
+        const levels = document.getElementById('replay-levels');
+        if (levels) {
+            levels.replaceChildren();
+            for (let i = 1; i <= levelCount; i++) {
+                const button = document.createElement('button');
+                button.className = i === level ? 'replay-level active' : 'replay-level';
+                button.textContent = i;
+                button.addEventListener('click', () => {
+                    if (this.onReplayLevelSelect) this.onReplayLevelSelect(i);
+                });
+                levels.appendChild(button);
+            }
+        }
+
+        const list = document.getElementById('replay-list');
+        if (list) {
+            list.replaceChildren();
+            runs.forEach(run => {
+                const seconds = Math.round(run.ticks * run.stepInterval / 1000);
+                const date = new Date(run.date).toLocaleString([], {
+                    month: 'short',
+                    day: 'numeric',
+                    hour: '2-digit',
+                    minute: '2-digit'
+                });
+
+                const item = document.createElement('button');
+                item.className = 'replay-item';
+                item.textContent = `${run.completed ? '✅' : '❌'} ${run.score.toLocaleString()} pts · ${seconds}s · ${date}`;
+                item.addEventListener('click', () => {
+                    if (this.onReplaySelect) this.onReplaySelect(run.id);
+                });
+                list.appendChild(item);
+            });
+        }
+
+        document.getElementById('replay-empty')?.classList.toggle('hidden', runs.length > 0);
+
+        this.showScreen('replays');
+    },
+
+    /**
+     * Show or hide the replay controls
+     * @param {number} totalTicks - Length of the replay in simulation steps
+     */
+    showReplayControls(visible, totalTicks = 0) {
+        document.getElementById('replay-controls')?.classList.toggle('hidden', !visible);
+        document.body.classList.toggle('replay-mode', visible);
+
+        const scrubber = document.getElementById('replay-scrubber');
+        if (scrubber) {
+            scrubber.max = totalTicks;
+            scrubber.value = 0;
+        }
+        this.scrubbing = false;
+    },
+
+    /**
+     * Update replay position and play/pause button
+     * @param {string} status - 'playing', 'paused' or 'finished'
+     */
+    updateReplayProgress(tick, status) {
+        const scrubber = document.getElementById('replay-scrubber');
+        if (scrubber && !this.scrubbing) {
+            scrubber.value = tick;
+        }
+
+        const toggle = document.getElementById('replay-toggle-btn');
+        if (toggle) {
+            const icons = { playing: '⏸️', paused: '▶️', finished: '🔄' };
+            const labels = { playing: 'Pause replay', paused: 'Play replay', finished: 'Restart replay' };
+            toggle.textContent = icons[status];
+            toggle.setAttribute('aria-label', labels[status]);
+        }
+    },
+
+    /**
+     * Highlight the active replay speed
+     */
+    updateReplaySpeed(speed) {
+        document.querySelectorAll('.replay-speed').forEach(button => {
+            button.classList.toggle('active', parseFloat(button.dataset.speed) === speed);
+        });
+    },
+
     /**
      * Show pause overlay
      */
@@ -233,6 +642,9 @@ const UI = {
         if (this.pauseOverlay) {
             this.pauseOverlay.classList.remove('hidden');
         }
+
+        // Freeze game-timed animations (e.g. the frost overlay) with the game
+        document.body.classList.add('game-paused');
     },
 
     /**
@@ -242,6 +654,8 @@ const UI = {
         if (this.pauseOverlay) {
             this.pauseOverlay.classList.add('hidden');
         }
+
+        document.body.classList.remove('game-paused');
     },
 
     /**
@@ -255,12 +669,16 @@ const UI = {
     },
 
     /**
-     * Show success screen with stats
+     * Show success screen with stats, offering a ghost race if there is a best run
      */
-    showSuccess(score, timeLeft, stars) {
+    showSuccess(score, timeLeft, stars, seedCode = '-', canRaceGhost = false) {
         document.getElementById('success-score').textContent = score.toLocaleString();
         document.getElementById('success-time').textContent = `${timeLeft}s`;
         document.getElementById('success-rank').textContent = '⭐'.repeat(stars) || '☆';
+        document.getElementById('success-seed').textContent = seedCode;
+
+        const raceButton = document.getElementById('race-ghost-btn');
+        if (raceButton) raceButton.style.display = canRaceGhost ? '' : 'none';
 
         this.showScreen('success');
     },
@@ -268,9 +686,13 @@ const UI = {
     /**
      * Show failure screen with stats
      */
-    showFailure(chimneysFound, chimneysTotal, score) {
+    showFailure(chimneysFound, chimneysTotal, score, reason = 'timeout', seedCode = '-') {
+        const message = this.failureMessages[reason] || this.failureMessages.timeout;
+        document.getElementById('failure-title').textContent = message.title;
+        document.getElementById('failure-subtitle').textContent = message.subtitle;
         document.getElementById('failure-chimneys').textContent = `${chimneysFound}/${chimneysTotal}`;
         document.getElementById('failure-score').textContent = score.toLocaleString();
+        document.getElementById('failure-seed').textContent = seedCode;
 
         this.showScreen('failure');
     },
@@ -322,6 +744,31 @@ const UI = {
         setTimeout(() => effect.remove(), 300);
     },
 
+    /**
+     * Show frost overlay while Rudolf's nose is iced
+     * Removed on game time, like the ice itself, so a pause doesn't end it early
+     */
+    showFrostOverlay(duration) {
+        this.hideFrostOverlay();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'frost-overlay';
+        overlay.style.animationDuration = `${duration}ms`;
+        document.body.appendChild(overlay);
+        this.frostTimer = GameClock.setTimeout(() => this.hideFrostOverlay(), duration);
+    },
+
+    /**
+     * Remove the frost overlay
+     */
+    hideFrostOverlay() {
+        if (this.frostTimer) {
+            GameClock.clearTimeout(this.frostTimer);
+            this.frostTimer = null;
+        }
+        document.querySelectorAll('.frost-overlay').forEach(el => el.remove());
+    },
+
     /**
      * Show direction indicator (for radar)
      */
@@ -0,0 +1,235 @@
+/**
+ * Wind System - Schedules wind gusts that push Rudolf sideways
+ * Each gust is telegraphed with a vibration and wind streaks before it hits
+ */
+class WindSystem {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        // Random source (Math, or a seeded stream set per level by Game)
+        this.rng = Math;
+
+        // Haptics adapter (windWarning), null to run without feedback
+        this.haptics = window.Haptics || null;
+
+        this.enabled = false;
+
+        // Gust strength (velocity added to Rudolf per frame at full gust)
+        this.baseStrength = 0.25;
+        this.strength = this.baseStrength;
+
+        // Gust cycle: calm -> warning -> gust -> calm
+        this.state = 'calm';
+        this.stateTimer = 0;
+        this.calmMin = 4000;
+        this.calmMax = 8000;
+        this.warningDuration = 1500;
+        this.gustMin = 2000;
+        this.gustMax = 3500;
+        this.gustDuration = 0;
+
+        // Current gust direction (unit vector)
+        this.directionX = 1;
+        this.directionY = 0;
+
+        // Gust envelope (0-1), eases in and out so pushes don't snap
+        this.intensity = 0;
+
+        // Wind streak particles (screen space)
+        this.streaks = [];
+        this.maxStreaks = 40;
+    }
+
+    /**
+     * Start wind for a level
+     * @param {string[]} hazardTypes - Hazard names from the level config
+     * @param {number} levelNumber - Used to scale gust strength
+     */
+    start(hazardTypes, levelNumber) {
+        this.reset();
+        this.enabled = hazardTypes.includes('wind');
+
+        // Blizzard (level 4) is the baseline; each level after blows harder
+        const scale = Math.min(2, 1 + Math.max(0, levelNumber - 4) * 0.25);
+        this.strength = this.baseStrength * scale;
+
+        if (this.enabled) {
+            this.enterCalm();
+        }
+    }
+
+    /**
+     * Enter calm state and schedule the next gust
+     */
+    enterCalm() {
+        this.state = 'calm';
+        this.stateTimer = this.calmMin + this.rng.random() * (this.calmMax - this.calmMin);
+    }
+
+    /**
+     * Enter warning state - pick a direction and telegraph the gust
+     */
+    enterWarning() {
+        this.state = 'warning';
+        this.stateTimer = this.warningDuration;
+
+        // Mostly sideways, with a little lift or drop
+        const angle = (this.rng.random() - 0.5) * 0.6;
+        const side = this.rng.random() < 0.5 ? -1 : 1;
+        this.directionX = Math.cos(angle) * side;
+        this.directionY = Math.sin(angle);
+
+        if (this.haptics) {
+            this.haptics.windWarning();
+        }
+
+        GameEvents.emit('wind:warning', {
+            directionX: this.directionX,
+            directionY: this.directionY
+        });
+    }
+
+    /**
+     * Enter gust state - wind starts pushing
+     */
+    enterGust() {
+        this.state = 'gust';
+        this.gustDuration = this.gustMin + this.rng.random() * (this.gustMax - this.gustMin);
+        this.stateTimer = this.gustDuration;
+
+        GameEvents.emit('wind:gustStarted', {
+            directionX: this.directionX,
+            directionY: this.directionY,
+            strength: this.strength
+        });
+    }
+
+    /**
+     * Update gust cycle and push Rudolf
+     * @param {number} deltaTime - Frame time in ms
+     * @param {Rudolf} rudolf - Player to push
+     * @param {boolean} isImmune - True while the cocoa power-up is active
+     */
+    update(deltaTime, rudolf, isImmune) {
+        if (!this.enabled) return;
+
+        this.stateTimer -= deltaTime;
+
+        if (this.stateTimer <= 0) {
+            if (this.state === 'calm') {
+                this.enterWarning();
+            } else if (this.state === 'warning') {
+                this.enterGust();
+            } else {
+                this.enterCalm();
+                GameEvents.emit('wind:gustEnded');
+            }
+        }
+
+        // Ease intensity toward the target for the current state
+        let targetIntensity = 0;
+        if (this.state === 'gust') {
+            // Fade out over the last 500ms of the gust
+            targetIntensity = Math.min(1, this.stateTimer / 500);
+        } else if (this.state === 'warning') {
+            targetIntensity = 0.15;
+        }
+        this.intensity += (targetIntensity - this.intensity) * 0.1;
+
+        // Push Rudolf (only during the gust itself, never while immune)
+        if (this.state === 'gust' && !isImmune) {
+            const force = this.strength * this.intensity;
+            rudolf.applyWind(this.directionX * force, this.directionY * force);
+        } else {
+            rudolf.clearWind();
+        }
+
+        this.updateStreaks(deltaTime);
+    }
+
+    /**
+     * Spawn and move wind streaks
+     */
+    updateStreaks(deltaTime) {
+        // More streaks the stronger the wind
+        const targetCount = Math.floor(this.maxStreaks * this.intensity);
+
+        while (this.streaks.length < targetCount) {
+            this.streaks.push(this.createStreak());
+        }
+
+        const speed = 12 + 18 * this.intensity;
+
+        this.streaks = this.streaks.filter(streak => {
+            streak.x += this.directionX * speed * streak.speedScale;
+            streak.y += this.directionY * speed * streak.speedScale;
+            streak.life -= deltaTime;
+
+            return streak.life > 0 &&
+                   streak.x > -streak.length && streak.x < this.width + streak.length &&
+                   streak.y > -streak.length && streak.y < this.height + streak.length;
+        });
+    }
+
+    /**
+     * Create a streak entering from the upwind side of the screen
+     */
+    createStreak() {
+        const upwindX = this.directionX > 0 ? 0 : this.width;
+
+        return {
+            x: upwindX + (this.rng.random() - 0.5) * this.width * 0.5,
+            y: this.rng.random() * this.height,
+            length: 40 + this.rng.random() * 80,
+            speedScale: 0.7 + this.rng.random() * 0.6,
+            opacity: 0.2 + this.rng.random() * 0.4,
+            life: 1500 + this.rng.random() * 1000
+        };
+    }
+
+    /**
+     * Check if a gust is currently blowing
+     */
+    isGusting() {
+        return this.state === 'gust';
+    }
+
+    /**
+     * Draw wind streaks (on top of the fog, in screen space)
+     */
+    draw(ctx) {
+        if (this.streaks.length === 0) return;
+
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineWidth = 2;
+
+        this.streaks.forEach(streak => {
+            ctx.strokeStyle = `rgba(255, 255, 255, ${streak.opacity * Math.min(1, this.intensity * 2)})`;
+            ctx.beginPath();
+            ctx.moveTo(streak.x, streak.y);
+            ctx.lineTo(
+                streak.x - this.directionX * streak.length,
+                streak.y - this.directionY * streak.length
+            );
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Reset for new level
+     */
+    reset() {
+        this.enabled = false;
+        this.state = 'calm';
+        this.stateTimer = 0;
+        this.intensity = 0;
+        this.streaks = [];
+    }
+}
+
+// Export for use in other modules
+window.WindSystem = WindSystem;
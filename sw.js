@@ -1,20 +1,37 @@
-const CACHE_NAME = 'rudolf-game-v1';
+const CACHE_NAME = 'rudolf-game-v2';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
     '/manifest.json',
     '/css/game.css',
     '/js/game.js',
+    '/js/clock.js',
+    '/js/random.js',
+    '/js/events.js',
+    '/js/sound-synth.js',
+    '/js/audio.js',
     '/js/rudolf.js',
     '/js/sleigh.js',
+    '/js/camera.js',
     '/js/fog.js',
     '/js/chimney.js',
     '/js/powerups.js',
+    '/js/hazards.js',
+    '/js/wind.js',
+    '/js/buildings.js',
+    '/js/terrain.js',
+    '/js/simulation.js',
     '/js/levels.js',
+    '/js/challenge.js',
+    '/js/replay.js',
+    '/js/replay-store.js',
+    '/js/ghost.js',
     '/js/ui.js',
     '/js/controls/tilt.js',
     '/js/controls/shake.js',
     '/js/controls/touch.js',
+    '/js/controls/gamepad.js',
+    '/js/controls/mouse-steer.js',
     '/js/controls/haptics.js'
 ];
 
@@ -0,0 +1,298 @@
+/**
+ * Headless Simulation - Runs the core game simulation in Node, without a browser
+ * Loads the game scripts into a sandbox and steps the world with the same
+ * GameSimulation.step as Game.update: Rudolf, the sleigh, fog, chimneys,
+ * power-ups, wind, hazards, buildings, mountains and the level timer.
+ * Haptics, rendering and UI are adapters, so scripted checks can run anywhere:
+ *
+ *   const { createSimulation } = require('./tools/headless');
+ *
+ *   const sim = createSimulation({ level: 1, seed: 42 });
+ *   sim.fly({ x: 1, y: 0 }, 2000);              // tilt right for 2s of game time
+ *   const result = sim.tap(x, y);               // world coordinates
+ *   // result.points, sim.chimneySystem.deliveredCount, sim.state, sim.events ...
+ *
+ * The same seed builds the same level as the game. See tools/scenarios.js
+ * for scripted checks
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Core scripts, in index.html order
+const SCRIPTS = [
+    'js/clock.js',
+    'js/random.js',
+    'js/events.js',
+    'js/rudolf.js',
+    'js/sleigh.js',
+    'js/camera.js',
+    'js/fog.js',
+    'js/chimney.js',
+    'js/powerups.js',
+    'js/hazards.js',
+    'js/wind.js',
+    'js/buildings.js',
+    'js/terrain.js',
+    'js/simulation.js',
+    'js/levels.js'
+];
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createMemoryStorage() {
+    const data = new Map();
+
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: (key) => data.delete(key)
+    };
+}
+
+/**
+ * Load the core scripts into a fresh sandbox (one per simulation, as
+ * GameClock and Levels are shared singletons)
+ * @param {Object} globals - Extra globals, e.g. a document for fog rendering
+ */
+function loadGame(globals = {}) {
+    // Levels loads progress as its script runs, so storage has to exist first
+    const sandbox = { console, localStorage: createMemoryStorage(), ...globals };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    SCRIPTS.forEach(file => {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, sandbox, { filename: file });
+    });
+
+    return sandbox;
+}
+
+class Simulation {
+    /**
+     * @param {Object} options
+     * @param {number} options.level - Level number (default 1)
+     * @param {number} options.seed - Level seed (default 1)
+     * @param {Object} options.haptics - Haptics adapter (chimneyFound/success/miss/powerUp/
+     *                                   airplaneWarning/windWarning)
+     * @param {Function} options.onEvent - Called with (type, data) for deliveries, misses, pickups, hits and the end
+     * @param {number} options.viewWidth - Width of the view the camera shows (default 390, a phone)
+     * @param {number} options.viewHeight - Height of the view (default 844)
+     * @param {Object} options.storage - Storage adapter for Levels progress (in memory by default)
+     * @param {Object} options.globals - Extra sandbox globals (e.g. document for fog rendering)
+     */
+    constructor(options = {}) {
+        const game = loadGame(options.globals);
+        this.game = game;
+
+        // Same world and step as Game
+        this.worldWidth = options.worldWidth || 2400;
+        this.worldHeight = options.worldHeight || 1600;
+        this.stepInterval = 1000 / 60;
+        const viewWidth = options.viewWidth || 390;
+        const viewHeight = options.viewHeight || 844;
+
+        this.events = [];
+        this.onEvent = options.onEvent || null;
+
+        if (options.storage) {
+            game.Levels.storage = options.storage;
+            game.Levels.load();
+        }
+        const level = options.level || 1;
+        game.Levels.setLevel(level);
+        this.config = game.Levels.getCurrentConfig();
+
+        // Same run state as Game: the level timer (seconds) and playing/success/gameover
+        this.timer = this.config.time;
+        this.state = 'playing';
+        this.time = 0;
+
+        game.GameClock.reset();
+        const random = new game.SeededRandom(options.seed || 1);
+        const haptics = options.haptics || null;
+
+        this.rudolf = new game.Rudolf(this.worldWidth / 2, this.worldHeight / 2);
+        this.rudolf.setBounds(this.worldWidth, this.worldHeight);
+
+        this.sleigh = new game.Sleigh(this.rudolf);
+
+        this.camera = new game.Camera(viewWidth, viewHeight);
+        this.camera.setWorldSize(this.worldWidth, this.worldHeight);
+        this.camera.snapTo(this.rudolf);
+
+        this.fogSystem = new game.FogSystem(viewWidth, viewHeight);
+        this.fogSystem.setWorldSize(this.worldWidth, this.worldHeight);
+
+        this.chimneySystem = new game.ChimneySystem(this.worldWidth, this.worldHeight);
+        this.chimneySystem.haptics = haptics;
+
+        this.powerUpSystem = new game.PowerUpSystem(this.worldWidth, this.worldHeight);
+        this.powerUpSystem.haptics = haptics;
+
+        this.hazardSystem = new game.HazardSystem(this.worldWidth, this.worldHeight);
+        this.hazardSystem.haptics = haptics;
+
+        this.windSystem = new game.WindSystem(viewWidth, viewHeight);
+        this.windSystem.haptics = haptics;
+        this.buildingSystem = new game.BuildingSystem(this.worldWidth, this.worldHeight);
+        this.terrainSystem = new game.TerrainSystem(this.worldWidth, this.worldHeight);
+
+        // Game events in this sandbox only, as each simulation has its own bus
+        this.bindEvents();
+
+        game.GameSimulation.linkSystems(this);
+        game.GameSimulation.seedSystems(this, random);
+        game.GameSimulation.buildLevel(this, this.config, level);
+    }
+
+    /**
+     * React to game events the way Game does, minus the score, UI and sound
+     */
+    bindEvents() {
+        const { GameEvents, GameSimulation } = this.game;
+
+        GameEvents.on('chimney:delivered', (data) => this.emit('delivery', data));
+
+        GameEvents.on('chimney:missed', (data) => {
+            this.emit('miss', data);
+            if (this.state === 'playing' && data.missed >= this.config.maxMisses) {
+                this.end('gameover', 'misses');
+            }
+        });
+
+        GameEvents.on('chimney:allResolved', (data) => {
+            this.emit('resolved', data);
+            if (this.state === 'playing') {
+                this.end('success');
+            }
+        });
+
+        GameEvents.on('powerup:collected', (data) => {
+            GameSimulation.applyPowerUp(this, data.typeData);
+            this.emit('powerup', data);
+        });
+
+        GameEvents.on('hazard:hit', (data) => {
+            const effect = GameSimulation.applyHazardHit(this, data);
+            if (effect) {
+                // Hazards carry their type; buildings and mountains name themselves
+                const hazard = data.hazard && data.hazard.type ? data.hazard.type : data.typeData.name || null;
+                this.emit('hazard', { effect, hazard, target: data.target });
+            }
+        });
+
+        GameEvents.on('sleigh:balloonsReleased', ({ balloons }) => {
+            GameSimulation.releaseBalloons(this, balloons);
+        });
+    }
+
+    /**
+     * End the run, as Game.handleLevelComplete and handleFailure do
+     * @param {string} state - 'success' or 'gameover'
+     * @param {string} reason - Why a run failed ('timeout' or 'misses', as in Game.handleFailure)
+     */
+    end(state, reason) {
+        this.state = state;
+        this.emit('end', reason ? { state, reason } : { state });
+    }
+
+    /**
+     * Record an event and pass it to the onEvent adapter
+     */
+    emit(type, data) {
+        this.events.push({ type, time: this.time, ...data });
+        if (this.onEvent) {
+            this.onEvent(type, data);
+        }
+    }
+
+    /**
+     * Advance one fixed simulation step (nothing happens once the run is over)
+     * @param {Object} tilt - Tilt velocity { x, y }, as TiltControls.getVelocity() returns
+     * @returns {boolean} Whether the run is still going
+     */
+    step(tilt = { x: 0, y: 0 }) {
+        if (this.state !== 'playing') return false;
+
+        this.time += this.stepInterval;
+        const failure = this.game.GameSimulation.step(this, this.stepInterval, () => tilt);
+
+        if (failure) {
+            this.end('gameover', failure);
+        }
+        return this.state === 'playing';
+    }
+
+    /**
+     * Run steps covering a stretch of game time
+     * @param {number} duration - Game time in ms
+     * @param {Object} tilt - Tilt velocity held for the whole stretch
+     */
+    run(duration, tilt = { x: 0, y: 0 }) {
+        const steps = Math.round(duration / this.stepInterval);
+        for (let i = 0; i < steps && this.step(tilt); i++);
+    }
+
+    /**
+     * Fly with a tilt for a while (run with the arguments the other way round)
+     */
+    fly(tilt, duration) {
+        this.run(duration, tilt);
+    }
+
+    /**
+     * Tap at a world position, as Game.deliverAt does after converting from the screen
+     * @returns {Object|null} Delivery result, a rejection, or null if nothing was hit
+     */
+    tap(x, y) {
+        const altitude = this.terrainSystem.getAltitude(this.rudolf.x, this.rudolf.y);
+        return this.chimneySystem.checkTap(x, y, altitude);
+    }
+
+    /**
+     * Trigger a nose boost (burns through the fog and frees tangled balloons, as in the game)
+     */
+    boost() {
+        return this.game.GameSimulation.boost(this);
+    }
+
+    /**
+     * Draw the world as the camera shows it, through a rendering adapter (any 2D-context-like object)
+     * Fog needs a canvas, so it is only drawn when the sandbox was given a document
+     */
+    render(ctx) {
+        ctx.save();
+        this.camera.apply(ctx);
+        this.terrainSystem.draw(ctx);
+        this.buildingSystem.draw(ctx);
+        this.chimneySystem.draw(ctx);
+        this.hazardSystem.draw(ctx);
+        this.powerUpSystem.draw(ctx, this.fogSystem);
+        this.sleigh.draw(ctx);
+        this.rudolf.draw(ctx);
+        ctx.restore();
+
+        if (this.game.document) {
+            this.fogSystem.render(ctx, this.camera);
+        }
+    }
+}
+
+/**
+ * Create a simulation of one level
+ */
+function createSimulation(options) {
+    return new Simulation(options);
+}
+
+module.exports = {
+    createSimulation,
+    createMemoryStorage,
+    loadGame,
+    Simulation
+};
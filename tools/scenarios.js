@@ -0,0 +1,172 @@
+/**
+ * Scripted gameplay checks on the headless simulation
+ * Each scenario flies a seeded level and asserts what happened:
+ *
+ *   node tools/scenarios.js
+ *
+ * Exits with 1 if any scenario fails
+ */
+const assert = require('assert');
+const { createSimulation } = require('./headless');
+
+/**
+ * Steer straight at a world position until Rudolf is within reach of it
+ * @returns {boolean} Whether he got there in time
+ */
+function flyTo(sim, x, y, reach = 60, maxTime = 15000) {
+    for (let t = 0; t < maxTime; t += sim.stepInterval) {
+        const dx = x - sim.rudolf.x;
+        const dy = y - sim.rudolf.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance <= reach) return true;
+
+        if (!sim.step({ x: dx / distance, y: dy / distance })) return false;
+    }
+    return false;
+}
+
+const scenarios = [
+    {
+        name: 'fly right for 2s, then on to a chimney, tap it, expect a delivery',
+        run() {
+            const sim = createSimulation({ level: 1, seed: 42 });
+            const startX = sim.rudolf.x;
+
+            sim.fly({ x: 1, y: 0 }, 2000);
+            assert.ok(sim.rudolf.x > startX + 100, 'Rudolf flew right');
+
+            const chimney = sim.chimneySystem.chimneys[0];
+            assert.ok(flyTo(sim, chimney.x, chimney.y), 'reached the chimney');
+            sim.run(100);
+            assert.ok(chimney.visible, 'chimney shows through the fog');
+
+            const result = sim.tap(chimney.x, chimney.y);
+            assert.ok(result && !result.rejected, 'tap delivered');
+            assert.strictEqual(result.points, 150);
+            assert.strictEqual(sim.chimneySystem.deliveredCount, 1);
+            assert.ok(sim.events.some(e => e.type === 'delivery'), 'delivery event');
+        }
+    },
+    {
+        name: 'a tap on a chimney hidden in the fog does nothing',
+        run() {
+            const sim = createSimulation({ level: 1, seed: 42 });
+            sim.run(500);
+
+            const chimney = sim.chimneySystem.chimneys.find(c => !c.visible);
+            assert.ok(chimney, 'a chimney is out of sight');
+            assert.strictEqual(sim.tap(chimney.x, chimney.y), null);
+            assert.strictEqual(sim.chimneySystem.deliveredCount, 0);
+        }
+    },
+    {
+        name: 'a bell reveal shows every chimney without counting any as missed when it fades',
+        run() {
+            const sim = createSimulation({ level: 1, seed: 42 });
+            sim.run(500);
+
+            sim.fogSystem.revealAll(5000);
+            sim.run(100);
+            assert.ok(sim.chimneySystem.chimneys.every(c => c.visible), 'all chimneys revealed');
+
+            sim.run(6000);
+            assert.ok(sim.chimneySystem.chimneys.every(c => !c.visible), 'reveal faded');
+            assert.strictEqual(sim.chimneySystem.missedCount, 0);
+            assert.strictEqual(sim.state, 'playing');
+        }
+    },
+    {
+        name: 'flying on past a spotted chimney misses it',
+        run() {
+            const sim = createSimulation({ level: 1, seed: 42 });
+            const chimney = sim.chimneySystem.chimneys[0];
+
+            assert.ok(flyTo(sim, chimney.x, chimney.y), 'reached the chimney');
+            sim.run(100);
+            assert.ok(chimney.spotted, 'spotted in the nose light');
+
+            // Head back the way we came until it's far behind
+            const away = { x: sim.worldWidth / 2 - chimney.x, y: sim.worldHeight / 2 - chimney.y };
+            const length = Math.hypot(away.x, away.y);
+            for (let t = 0; t < 10000 && !chimney.missed; t += sim.stepInterval) {
+                sim.step({ x: away.x / length, y: away.y / length });
+            }
+
+            assert.ok(chimney.missed, 'chimney missed');
+            assert.strictEqual(sim.events.filter(e => e.type === 'miss').length, 1);
+        }
+    },
+    {
+        name: 'resting on a rooftop costs time once',
+        run() {
+            const sim = createSimulation({ level: 2, seed: 5 });
+            const start = sim.timer;
+            sim.fly({ x: 0, y: 1 }, 10000);
+
+            const lost = start - sim.timer - sim.time / 1000;
+            assert.ok(Math.abs(lost - sim.buildingSystem.typeData.penalty) < 0.01, `lost ${lost.toFixed(1)}s`);
+            assert.deepStrictEqual(sim.events.filter(e => e.type === 'hazard').map(e => e.hazard), ['buildings']);
+        }
+    },
+    {
+        name: 'flying low along the mountainside costs time once',
+        run() {
+            const sim = createSimulation({ level: 3, seed: 5 });
+            const start = sim.timer;
+            sim.fly({ x: 0, y: 1 }, 10000);
+
+            const lost = start - sim.timer - sim.time / 1000;
+            assert.ok(Math.abs(lost - sim.terrainSystem.typeData.penalty) < 0.01, `lost ${lost.toFixed(1)}s`);
+            assert.deepStrictEqual(sim.events.filter(e => e.type === 'hazard').map(e => e.hazard), ['altitude']);
+        }
+    },
+    {
+        name: 'wind and airplane warnings go through the haptics adapter',
+        run() {
+            const felt = [];
+            const haptics = new Proxy({}, { get: (target, name) => () => felt.push(name) });
+            const sim = createSimulation({ level: 5, seed: 9, haptics });
+            sim.run(20000);
+
+            assert.ok(felt.includes('windWarning'), 'wind warning');
+            assert.ok(felt.includes('airplaneWarning'), 'airplane warning');
+        }
+    },
+    {
+        name: 'the level timer runs out into a failed run',
+        run() {
+            const sim = createSimulation({ level: 1, seed: 7 });
+            sim.run((sim.config.time + 1) * 1000);
+
+            assert.strictEqual(sim.state, 'gameover');
+            assert.deepStrictEqual(sim.events.filter(e => e.type === 'end').map(e => e.reason), ['timeout']);
+        }
+    },
+    {
+        name: 'the same seed flies the same way',
+        run() {
+            const fly = () => {
+                const sim = createSimulation({ level: 3, seed: 1234 });
+                sim.fly({ x: 0.6, y: -0.4 }, 3000);
+                sim.boost();
+                sim.fly({ x: -1, y: 0.2 }, 3000);
+                return [sim.rudolf.x, sim.rudolf.y, sim.timer, sim.events.length];
+            };
+            assert.deepStrictEqual(fly(), fly());
+        }
+    }
+];
+
+let failed = 0;
+scenarios.forEach(scenario => {
+    try {
+        scenario.run();
+        console.log(`✓ ${scenario.name}`);
+    } catch (error) {
+        failed++;
+        console.log(`✗ ${scenario.name}\n  ${error.message}`);
+    }
+});
+
+console.log(`\n${scenarios.length - failed}/${scenarios.length} passed`);
+process.exitCode = failed > 0 ? 1 : 0;